@@ -0,0 +1,195 @@
+const { ExtractionFailure } = require('../models');
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Extraction Failure Controller - Diagnostics bundles uploaded by the extension
+class ExtractionFailureController {
+
+  // POST /api/extraction-failures - Store a diagnostics bundle
+  static async createExtractionFailure(req, res) {
+    try {
+      const bundle = req.body || {};
+      const errors = [];
+
+      if (typeof bundle.url !== 'string' || bundle.url.trim() === '') {
+        errors.push('url is required');
+      }
+      if (!isPlainObject(bundle.error) || typeof bundle.error.message !== 'string' || bundle.error.message === '') {
+        errors.push('error.message is required');
+      }
+      ['timings', 'selectorReport', 'preparation'].forEach(field => {
+        if (bundle[field] !== undefined && bundle[field] !== null && !isPlainObject(bundle[field])) {
+          errors.push(`${field} must be an object`);
+        }
+      });
+      if (bundle.topCardHtml !== undefined && bundle.topCardHtml !== null && typeof bundle.topCardHtml !== 'string') {
+        errors.push('topCardHtml must be a string');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Diagnostics bundle failed validation',
+          errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Oversized captures are cut rather than rejected; the evidence is still useful
+      let topCardHtml = bundle.topCardHtml || null;
+      let htmlTruncated = bundle.htmlTruncated === true;
+      if (topCardHtml && topCardHtml.length > ExtractionFailure.MAX_TOP_CARD_HTML) {
+        topCardHtml = topCardHtml.slice(0, ExtractionFailure.MAX_TOP_CARD_HTML);
+        htmlTruncated = true;
+      }
+
+      const capturedAt = bundle.capturedAt && !isNaN(new Date(bundle.capturedAt)) ? new Date(bundle.capturedAt) : new Date();
+
+      const failure = await ExtractionFailure.create({
+        url: bundle.url.trim(),
+        pageUrl: typeof bundle.pageUrl === 'string' ? bundle.pageUrl : null,
+        errorMessage: bundle.error.message,
+        errorStack: typeof bundle.error.stack === 'string' ? bundle.error.stack : null,
+        attempt: Number.isInteger(bundle.attempt) ? bundle.attempt : null,
+        timings: bundle.timings || null,
+        selectorReport: bundle.selectorReport || null,
+        preparation: bundle.preparation || null,
+        topCardHtml,
+        htmlTruncated,
+        rulesVersion: Number.isInteger(bundle.rulesVersion) ? bundle.rulesVersion : null,
+        extensionVersion: typeof bundle.extensionVersion === 'string' ? bundle.extensionVersion.slice(0, 50) : null,
+        capturedAt
+      });
+
+      console.log(`🧾 Stored extraction failure ${failure.id} for ${failure.url}: ${failure.errorMessage}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Diagnostics bundle stored',
+        data: {
+          id: failure.id,
+          url: failure.url,
+          htmlTruncated: failure.htmlTruncated,
+          capturedAt: failure.capturedAt
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Error storing extraction failure:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to store diagnostics bundle',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // GET /api/extraction-failures - Bundles newest first, without markup (?url=, ?since=)
+  static async getExtractionFailures(req, res) {
+    try {
+      const { page = 1, limit = 20, url, since } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      if (since !== undefined && isNaN(new Date(since))) {
+        return res.status(400).json({
+          success: false,
+          message: 'since must be a date',
+          received: since,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { count, rows: failures } = await ExtractionFailure.getList({
+        url,
+        since: since !== undefined ? new Date(since) : null,
+        limit: parseInt(limit),
+        offset
+      });
+
+      res.json({
+        success: true,
+        message: `Found ${count} extraction failures`,
+        data: {
+          failures,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(count / parseInt(limit)),
+            totalCount: count,
+            limit: parseInt(limit)
+          },
+          filters: { url, since }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve extraction failures',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // GET /api/extraction-failures/:id - Full bundle
+  static async getExtractionFailure(req, res) {
+    try {
+      const failure = await ExtractionFailure.findByPk(req.params.id);
+
+      if (!failure) {
+        return res.status(404).json({
+          success: false,
+          message: `Extraction failure with ID ${req.params.id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Extraction failure retrieved successfully',
+        data: { failure },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve extraction failure',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // GET /api/extraction-failures/:id/download - Full bundle as a JSON file
+  static async downloadExtractionFailure(req, res) {
+    try {
+      const failure = await ExtractionFailure.findByPk(req.params.id);
+
+      if (!failure) {
+        return res.status(404).json({
+          success: false,
+          message: `Extraction failure with ID ${req.params.id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.setHeader('Content-Disposition', `attachment; filename="extraction-failure-${failure.id}.json"`);
+      res.type('application/json');
+      res.send(JSON.stringify(failure.get({ plain: true }), null, 2));
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download extraction failure',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = ExtractionFailureController;
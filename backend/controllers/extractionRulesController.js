@@ -0,0 +1,147 @@
+const { ExtractionRules } = require('../models');
+const { DEFAULT_RULES, validateRules } = require('../utils/extractionRules');
+
+// Extraction Rules Controller - Versioned selector configuration for the extension
+class ExtractionRulesController {
+
+  // GET /api/extraction-rules - Latest published rules (or ?version=N)
+  static async getExtractionRules(req, res) {
+    try {
+      const { version } = req.query;
+
+      if (version !== undefined && !(parseInt(version) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'version must be a positive integer',
+          received: version,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const published = version !== undefined ?
+        await ExtractionRules.findByVersion(parseInt(version)) :
+        await ExtractionRules.getLatest();
+
+      if (version !== undefined && !published) {
+        return res.status(404).json({
+          success: false,
+          message: `Extraction rules version ${version} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Nothing published yet: serve the rules bundled with the extension as version 0
+      const data = published ? {
+        version: published.version,
+        source: 'published',
+        rules: published.rules,
+        notes: published.notes,
+        publishedBy: published.publishedBy,
+        publishedAt: published.createdAt
+      } : {
+        version: 0,
+        source: 'bundled',
+        rules: DEFAULT_RULES,
+        notes: null,
+        publishedBy: null,
+        publishedAt: null
+      };
+
+      res.json({
+        success: true,
+        message: 'Extraction rules retrieved successfully',
+        data,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve extraction rules',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // GET /api/extraction-rules/versions - Published versions, newest first
+  static async getExtractionRulesVersions(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: versions } = await ExtractionRules.getVersions({
+        limit: parseInt(limit),
+        offset
+      });
+
+      res.json({
+        success: true,
+        message: `Found ${count} published extraction rules versions`,
+        data: {
+          versions,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(count / parseInt(limit)),
+            totalCount: count,
+            limit: parseInt(limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve extraction rules versions',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // POST /api/admin/extraction-rules - Publish a new rules version
+  static async publishExtractionRules(req, res) {
+    try {
+      const { rules, notes, publishedBy } = req.body || {};
+      const errors = validateRules(rules);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Extraction rules failed validation',
+          errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const published = await ExtractionRules.publish(rules, { notes, publishedBy });
+
+      console.log(`✅ Published extraction rules version ${published.version}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Extraction rules version ${published.version} published`,
+        data: {
+          version: published.version,
+          rules: published.rules,
+          notes: published.notes,
+          publishedBy: published.publishedBy,
+          publishedAt: published.createdAt
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Error publishing extraction rules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to publish extraction rules',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = ExtractionRulesController;
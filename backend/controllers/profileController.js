@@ -1,5 +1,7 @@
-const { Profile } = require('../models');
+const { Profile, ProfileSnapshot } = require('../models');
 const { Op } = require('sequelize');
+const { diffProfiles } = require('../utils/profileDiff');
+const { parseProfileUrl } = require('../utils/linkedinUrl');
 
 // Profile Controller - Business Logic for Profile API
 class ProfileController {
@@ -19,6 +21,18 @@ class ProfileController {
         maxFollowers
       } = req.query;
 
+      // Follower bounds are whole numbers; anything else would reach the query as NaN
+      for (const [param, value] of Object.entries({ minFollowers, maxFollowers })) {
+        if (value !== undefined && value !== '' && !/^\d+$/.test(value)) {
+          return res.status(400).json({
+            success: false,
+            message: `${param} must be a non-negative integer`,
+            received: value,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
       // Build where conditions
       const whereConditions = {};
       
@@ -36,7 +50,9 @@ class ProfileController {
         whereConditions[Op.or] = [
           { name: { [Op.like]: `%${search}%` } },
           { bioLine: { [Op.like]: `%${search}%` } },
-          { headline: { [Op.like]: `%${search}%` } }
+          { headline: { [Op.like]: `%${search}%` } },
+          Profile.whereJsonEntryLike('certifications', 'name', search),
+          Profile.whereJsonEntryLike('languages', 'name', search)
         ];
       }
       
@@ -46,6 +62,12 @@ class ProfileController {
         if (maxFollowers) whereConditions.followerCount[Op.lte] = parseInt(maxFollowers);
       }
 
+      // ?school=, ?certification=, ?language=... match entries of the JSON sections
+      const sectionConditions = Profile.sectionFilterConditions(req.query);
+      if (sectionConditions.length > 0) {
+        whereConditions[Op.and] = sectionConditions;
+      }
+
       // Calculate pagination
       const offset = (parseInt(page) - 1) * parseInt(limit);
       
@@ -56,7 +78,7 @@ class ProfileController {
         limit: parseInt(limit),
         offset: offset,
         attributes: {
-          exclude: ['extractionErrors'] // Don't return errors in list view
+          exclude: ['extractionErrors', 'extractionMeta'] // Don't return errors or provenance in list view
         }
       });
 
@@ -64,6 +86,10 @@ class ProfileController {
       const totalPages = Math.ceil(count / parseInt(limit));
       const hasNextPage = parseInt(page) < totalPages;
       const hasPrevPage = parseInt(page) > 1;
+      const sectionFilters = {};
+      Object.keys(Profile.SECTION_FILTERS).forEach(param => {
+        sectionFilters[param] = req.query[param];
+      });
 
       res.json({
         success: true,
@@ -86,6 +112,7 @@ class ProfileController {
             search,
             minFollowers,
             maxFollowers,
+            ...sectionFilters,
             sortBy,
             sortOrder
           }
@@ -133,7 +160,9 @@ class ProfileController {
             fullInfo,
             fieldsCount: Object.keys(profile.dataValues).length,
             lastUpdated: profile.lastUpdated,
-            extractionStatus: profile.extractionStatus
+            extractionStatus: profile.extractionStatus,
+            averageConfidence: profile.extractionMeta ? profile.extractionMeta.averageConfidence : null,
+            lowConfidenceFields: profile.extractionMeta ? profile.extractionMeta.lowConfidenceFields : []
           }
         },
         timestamp: new Date().toISOString()
@@ -150,10 +179,123 @@ class ProfileController {
     }
   }
 
+  // GET /api/profiles/by-url/:encodedUrl - Find profile by any variant of its LinkedIn URL
+  static async getProfileByUrl(req, res) {
+    try {
+      const { encodedUrl } = req.params;
+      const url = decodeURIComponent(encodedUrl);
+      const parsed = parseProfileUrl(url);
+
+      if (!parsed) {
+        return res.status(400).json({
+          success: false,
+          message: 'URL must be a valid LinkedIn profile URL (linkedin.com/in/username)',
+          url,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const profile = await Profile.findByUrl(url);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Profile not found with this URL',
+          url,
+          canonicalUrl: parsed.canonicalUrl,
+          publicIdentifier: parsed.publicIdentifier,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Profile found',
+        data: { profile },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to find profile by URL',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // GET /api/profiles/stale - Prioritized list of profiles due for a re-scrape
+  static async getStaleProfiles(req, res) {
+    try {
+      const days = req.query.days === undefined ? 7 : parseFloat(req.query.days);
+      const retryAfterHours = req.query.retryAfterHours === undefined ? 24 : parseFloat(req.query.retryAfterHours);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const statuses = req.query.status === undefined ?
+        ['failed', 'partial'] :
+        req.query.status.split(',').map(status => status.trim()).filter(Boolean);
+
+      const invalidStatuses = statuses.filter(status => !['pending', 'success', 'failed', 'partial'].includes(status));
+
+      if (isNaN(days) || days < 0 || isNaN(retryAfterHours) || retryAfterHours < 0 || invalidStatuses.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'days and retryAfterHours must be non-negative numbers; status must list pending, success, failed or partial',
+          received: { days: req.query.days, retryAfterHours: req.query.retryAfterHours, status: req.query.status },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const candidates = await Profile.getRefreshCandidates({
+        maxAgeDays: days,
+        retryAfterHours,
+        statuses,
+        limit
+      });
+
+      res.json({
+        success: true,
+        message: `Found ${candidates.length} profiles to refresh`,
+        data: {
+          profiles: candidates.map(({ profile, reason }, index) => ({
+            id: profile.id,
+            name: profile.name,
+            url: profile.url,
+            extractionStatus: profile.extractionStatus,
+            lastUpdated: profile.lastUpdated,
+            reason,
+            priority: index + 1
+          })),
+          count: candidates.length,
+          criteria: { days, retryAfterHours, status: statuses, limit }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve stale profiles',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   // POST /api/profiles - Create new profile (Main endpoint for Chrome extension)
   static async createProfile(req, res) {
     try {
       const profileData = req.body;
+      const { onConflict = 'error' } = req.query;
+
+      if (!Profile.ON_CONFLICT_MODES.includes(onConflict)) {
+        return res.status(400).json({
+          success: false,
+          message: `onConflict must be one of: ${Profile.ON_CONFLICT_MODES.join(', ')}`,
+          received: onConflict,
+          timestamp: new Date().toISOString()
+        });
+      }
 
       // Validate required fields
       if (!profileData.name || !profileData.url) {
@@ -168,6 +310,33 @@ class ProfileController {
 
       // Check if profile with this URL already exists
       const existingProfile = await Profile.findByUrl(profileData.url);
+      if (existingProfile && onConflict !== 'error') {
+        // Upsert: refresh the stored row with any non-empty fields from this scrape
+        const changedFields = onConflict === 'update' ? existingProfile.mergeExtractedData(profileData) : [];
+        if (onConflict === 'update') {
+          await existingProfile.save();
+        }
+
+        const action = changedFields.length > 0 ? 'updated' : 'unchanged';
+
+        return res.status(200).json({
+          success: true,
+          message: action === 'updated' ? 'Profile updated successfully' : 'Profile already up to date',
+          data: {
+            action,
+            profile: existingProfile,
+            metadata: {
+              isComplete: existingProfile.isDataComplete(),
+              fullInfo: existingProfile.getFullInfo(),
+              changedFields,
+              onConflict,
+              extractionStatus: existingProfile.extractionStatus
+            }
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
       if (existingProfile) {
         return res.status(409).json({
           success: false,
@@ -178,7 +347,7 @@ class ProfileController {
             url: existingProfile.url,
             createdAt: existingProfile.createdAt
           },
-          suggestion: `Use PUT /api/profiles/${existingProfile.id} to update existing profile`,
+          suggestion: `Use PUT /api/profiles/${existingProfile.id} or ?onConflict=update to update existing profile`,
           timestamp: new Date().toISOString()
         });
       }
@@ -188,6 +357,7 @@ class ProfileController {
         ...profileData,
         followerCount: profileData.followerCount || 0,
         connectionCount: profileData.connectionCount || 0,
+        connectionCountIsLowerBound: profileData.connectionCountIsLowerBound === true,
         extractionStatus: profileData.extractionStatus || 'success',
         extractedAt: new Date(),
         lastUpdated: new Date()
@@ -204,6 +374,7 @@ class ProfileController {
         success: true,
         message: 'Profile created successfully',
         data: {
+          action: 'created',
           profile: newProfile,
           metadata: {
             isComplete,
@@ -316,6 +487,93 @@ class ProfileController {
     }
   }
 
+  // PATCH /api/profiles/:id/annotations - Set the user's tags and/or notes.
+  // Unlike PUT this is not a refresh: lastUpdated and the history are left alone.
+  static async updateProfileAnnotations(req, res) {
+    try {
+      const { id } = req.params;
+      const { tags, notes } = req.body || {};
+      const errors = [];
+
+      if (tags === undefined && notes === undefined) {
+        errors.push('tags or notes is required');
+      }
+      if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+        errors.push('tags must be an array of strings');
+      } else if (tags !== undefined && tags.some(tag => tag.trim().length > Profile.MAX_TAG_LENGTH)) {
+        errors.push(`tags cannot be longer than ${Profile.MAX_TAG_LENGTH} characters`);
+      }
+      if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+        errors.push('notes must be a string or null');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Annotations failed validation',
+          errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const profile = await Profile.findByPk(id);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: `Profile with ID ${id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (tags !== undefined) {
+        profile.tags = Profile.normalizeTags(tags);
+      }
+      if (notes !== undefined) {
+        profile.notes = notes && notes.trim() ? notes : null;
+      }
+
+      // The update hooks would stamp lastUpdated and record a snapshot
+      await profile.save({ fields: ['tags', 'notes'], hooks: false, silent: true });
+
+      res.json({
+        success: true,
+        message: 'Annotations saved',
+        data: {
+          profile: {
+            id: profile.id,
+            tags: profile.tags,
+            notes: profile.notes
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating profile annotations:', error);
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: error.errors.map(e => ({
+            field: e.path,
+            message: e.message,
+            value: e.value
+          })),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update profile annotations',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   // DELETE /api/profiles/:id - Delete profile
   static async deleteProfile(req, res) {
     try {
@@ -362,6 +620,172 @@ class ProfileController {
     }
   }
 
+  // GET /api/profiles/:id/history - Get extraction history for a profile
+  static async getProfileHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const profile = await Profile.findByPk(id);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: `Profile with ID ${id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Calculate pagination
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: snapshots } = await ProfileSnapshot.getHistory(profile.id, {
+        limit: parseInt(limit),
+        offset
+      });
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: `Retrieved ${snapshots.length} snapshots for profile ${profile.id}`,
+        data: {
+          profile: profile.getFullInfo(),
+          snapshots,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalCount: count,
+            limit: parseInt(limit),
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting profile history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve profile history',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // GET /api/profiles/:id/history/:snapshotId - Get a single snapshot of a profile
+  static async getProfileSnapshot(req, res) {
+    try {
+      const { id, snapshotId } = req.params;
+
+      const snapshot = await ProfileSnapshot.findForProfile(id, snapshotId);
+
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          message: `Snapshot ${snapshotId} not found for profile ${id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Snapshot retrieved successfully',
+        data: {
+          snapshot
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting profile snapshot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve profile snapshot',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // GET /api/profiles/:id/diff?from=&to= - Field-level diff between two snapshots
+  static async getProfileDiff(req, res) {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      const profile = await Profile.findByPk(id);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: `Profile with ID ${id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Default to the latest snapshot and the one before it
+      const toSnapshot = to ?
+        await ProfileSnapshot.findForProfile(profile.id, to) :
+        await ProfileSnapshot.findLatest(profile.id);
+
+      if (!toSnapshot) {
+        return res.status(404).json({
+          success: false,
+          message: to ? `Snapshot ${to} not found for profile ${id}` : `Profile ${id} has no snapshots`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const fromSnapshot = from ?
+        await ProfileSnapshot.findForProfile(profile.id, from) :
+        await ProfileSnapshot.findPrevious(toSnapshot);
+
+      if (!fromSnapshot) {
+        return res.status(from ? 404 : 400).json({
+          success: false,
+          message: from ?
+            `Snapshot ${from} not found for profile ${id}` :
+            `Profile ${id} needs at least two snapshots to compute a diff`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const diff = diffProfiles(fromSnapshot.get({ plain: true }), toSnapshot.get({ plain: true }));
+
+      res.json({
+        success: true,
+        message: diff.summary.hasChanges ?
+          `Found changes in ${diff.summary.changedFields.length} fields` :
+          'No changes between snapshots',
+        data: {
+          profileId: profile.id,
+          from: {
+            snapshotId: fromSnapshot.id,
+            extractedAt: fromSnapshot.extractedAt
+          },
+          to: {
+            snapshotId: toSnapshot.id,
+            extractedAt: toSnapshot.extractedAt
+          },
+          diff
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Error computing profile diff:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute profile diff',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   // GET /api/profiles/stats - Get profile statistics
   static async getProfileStats(req, res) {
     try {
@@ -435,6 +859,16 @@ class ProfileController {
   static async createBatchProfiles(req, res) {
     try {
       const { profiles } = req.body;
+      const { onConflict = 'skip' } = req.query;
+
+      if (!Profile.ON_CONFLICT_MODES.includes(onConflict)) {
+        return res.status(400).json({
+          success: false,
+          message: `onConflict must be one of: ${Profile.ON_CONFLICT_MODES.join(', ')}`,
+          received: onConflict,
+          timestamp: new Date().toISOString()
+        });
+      }
 
       if (!profiles || !Array.isArray(profiles)) {
         return res.status(400).json({
@@ -463,6 +897,8 @@ class ProfileController {
 
       const results = {
         created: [],
+        updated: [],
+        unchanged: [],
         skipped: [],
         errors: []
       };
@@ -484,6 +920,30 @@ class ProfileController {
 
           // Check if profile already exists
           const existingProfile = await Profile.findByUrl(profileData.url);
+          if (existingProfile && onConflict === 'update') {
+            const changedFields = existingProfile.mergeExtractedData(profileData);
+            await existingProfile.save();
+
+            results[changedFields.length > 0 ? 'updated' : 'unchanged'].push({
+              index: i,
+              id: existingProfile.id,
+              name: existingProfile.name,
+              url: existingProfile.url,
+              changedFields
+            });
+            continue;
+          }
+
+          if (existingProfile && onConflict === 'error') {
+            results.errors.push({
+              index: i,
+              profileData,
+              error: 'Profile with this URL already exists',
+              existingId: existingProfile.id
+            });
+            continue;
+          }
+
           if (existingProfile) {
             results.skipped.push({
               index: i,
@@ -499,6 +959,7 @@ class ProfileController {
             ...profileData,
             followerCount: profileData.followerCount || 0,
             connectionCount: profileData.connectionCount || 0,
+            connectionCountIsLowerBound: profileData.connectionCountIsLowerBound === true,
             extractionStatus: profileData.extractionStatus || 'success',
             extractedAt: new Date(),
             lastUpdated: new Date()
@@ -520,20 +981,25 @@ class ProfileController {
         }
       }
 
+      const savedCount = results.created.length + results.updated.length + results.unchanged.length;
       const statusCode = results.errors.length === profiles.length ? 400 : 
-                        results.created.length === 0 ? 409 : 201;
+                        results.created.length > 0 ? 201 :
+                        savedCount > 0 ? 200 : 409;
 
       res.status(statusCode).json({
-        success: results.created.length > 0,
-        message: `Batch operation completed: ${results.created.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors`,
+        success: savedCount > 0,
+        message: `Batch operation completed: ${results.created.length} created, ${results.updated.length} updated, ${results.unchanged.length} unchanged, ${results.skipped.length} skipped, ${results.errors.length} errors`,
         data: {
           summary: {
             total: profiles.length,
             created: results.created.length,
+            updated: results.updated.length,
+            unchanged: results.unchanged.length,
             skipped: results.skipped.length,
             errors: results.errors.length,
-            successRate: `${Math.round((results.created.length / profiles.length) * 100)}%`
+            successRate: `${Math.round((savedCount / profiles.length) * 100)}%`
           },
+          onConflict,
           results
         },
         timestamp: new Date().toISOString()
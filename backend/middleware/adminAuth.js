@@ -0,0 +1,31 @@
+// Guards admin endpoints.
+// With ADMIN_TOKEN set, requests need "Authorization: Bearer <ADMIN_TOKEN>".
+// Without it, admin endpoints stay open for local development but not in production.
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (!adminToken) {
+        if (process.env.NODE_ENV === 'production') {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin endpoints are disabled: set ADMIN_TOKEN to enable them',
+                timestamp: new Date().toISOString()
+            });
+        }
+        return next();
+    }
+
+    if (req.get('Authorization') !== `Bearer ${adminToken}`) {
+        return res.status(401).json({
+            success: false,
+            message: 'Admin token required (Authorization: Bearer <ADMIN_TOKEN>)',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    requireAdmin
+};
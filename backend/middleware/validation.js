@@ -1,5 +1,8 @@
 const { body, validationResult } = require('express-validator');
 
+// Dates in profile sections are ISO year-month, or just the year
+const YEAR_MONTH_PATTERN = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+
 // Validation middleware for profile creation/update
 const validateProfile = [
   // Name validation
@@ -74,6 +77,11 @@ const validateProfile = [
     .withMessage('Connection count must be a non-negative integer')
     .toInt(),
 
+  body('connectionCountIsLowerBound')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('connectionCountIsLowerBound must be a boolean'),
+
   // Profile picture URL validation
   body('profilePicture')
     .optional()
@@ -96,6 +104,120 @@ const validateProfile = [
     .isArray()
     .withMessage('Skills must be an array'),
 
+  // Certifications: [{name, issuer, issueDate, expirationDate, credentialId, credentialUrl}]
+  body('certifications')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Certifications must be an array of at most 100 entries'),
+
+  body('certifications.*.name')
+    .notEmpty()
+    .withMessage('Each certification needs a name')
+    .isLength({ max: 255 })
+    .withMessage('Certification name cannot exceed 255 characters'),
+
+  body('certifications.*.issuer')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 })
+    .withMessage('Certification issuer cannot exceed 255 characters'),
+
+  body(['certifications.*.issueDate', 'certifications.*.expirationDate'])
+    .optional({ values: 'null' })
+    .matches(YEAR_MONTH_PATTERN)
+    .withMessage('Certification dates must be YYYY-MM or YYYY'),
+
+  body('certifications.*.credentialUrl')
+    .optional({ values: 'null' })
+    .isURL()
+    .withMessage('Credential URL must be a valid URL'),
+
+  // Languages: [{name, proficiency}]
+  body('languages')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Languages must be an array of at most 50 entries'),
+
+  body('languages.*.name')
+    .notEmpty()
+    .withMessage('Each language needs a name')
+    .isLength({ max: 100 })
+    .withMessage('Language name cannot exceed 100 characters'),
+
+  body('languages.*.proficiency')
+    .optional({ values: 'null' })
+    .isLength({ max: 100 })
+    .withMessage('Language proficiency cannot exceed 100 characters'),
+
+  // Projects: [{title, startDate, endDate, isCurrent, associatedWith, description, url}]
+  body('projects')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Projects must be an array of at most 100 entries'),
+
+  body('projects.*.title')
+    .notEmpty()
+    .withMessage('Each project needs a title')
+    .isLength({ max: 255 })
+    .withMessage('Project title cannot exceed 255 characters'),
+
+  body(['projects.*.startDate', 'projects.*.endDate'])
+    .optional({ values: 'null' })
+    .matches(YEAR_MONTH_PATTERN)
+    .withMessage('Project dates must be YYYY-MM or YYYY'),
+
+  body('projects.*.url')
+    .optional({ values: 'null' })
+    .isURL()
+    .withMessage('Project URL must be a valid URL'),
+
+  // Volunteering: [{role, organization, cause, startDate, endDate, isCurrent, durationMonths, description}]
+  body('volunteering')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Volunteering must be an array of at most 100 entries'),
+
+  body('volunteering.*.role')
+    .notEmpty()
+    .withMessage('Each volunteering entry needs a role')
+    .isLength({ max: 255 })
+    .withMessage('Volunteering role cannot exceed 255 characters'),
+
+  body(['volunteering.*.organization', 'volunteering.*.cause'])
+    .optional({ values: 'null' })
+    .isLength({ max: 255 })
+    .withMessage('Volunteering organization and cause cannot exceed 255 characters'),
+
+  body(['volunteering.*.startDate', 'volunteering.*.endDate'])
+    .optional({ values: 'null' })
+    .matches(YEAR_MONTH_PATTERN)
+    .withMessage('Volunteering dates must be YYYY-MM or YYYY'),
+
+  // Honors: [{title, issuer, date, associatedWith, description}]
+  body('honors')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Honors must be an array of at most 100 entries'),
+
+  body('honors.*.title')
+    .notEmpty()
+    .withMessage('Each honor needs a title')
+    .isLength({ max: 255 })
+    .withMessage('Honor title cannot exceed 255 characters'),
+
+  body('honors.*.date')
+    .optional({ values: 'null' })
+    .matches(YEAR_MONTH_PATTERN)
+    .withMessage('Honor date must be YYYY-MM or YYYY'),
+
+  body([
+    'projects.*.description',
+    'volunteering.*.description',
+    'honors.*.description'
+  ])
+    .optional({ values: 'null' })
+    .isLength({ max: 5000 })
+    .withMessage('Descriptions cannot exceed 5000 characters'),
+
   // Extraction status validation
   body('extractionStatus')
     .optional()
@@ -0,0 +1,125 @@
+// Largest top card capture we keep; the extension caps its own captures below this
+const MAX_TOP_CARD_HTML = 100000;
+
+module.exports = (sequelize, DataTypes) => {
+  const ExtractionFailure = sequelize.define('ExtractionFailure', {
+    // Primary Key
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+
+    // Profile URL the extension was asked to scrape
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+
+    // Where the tab actually ended up (login wall, redirect, details page...)
+    pageUrl: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    errorMessage: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+
+    errorStack: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    attempt: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    // Milliseconds from opening the tab to each phase: {loaded, prepared, extracted, failed}
+    timings: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    // Match count of every selector in the rules the extension used
+    selectorReport: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    // Page preparation report (sections found/missing, expanders clicked)
+    preparation: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    // Sanitized top card markup: page text masked, links and images redacted
+    topCardHtml: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, MAX_TOP_CARD_HTML],
+          msg: `Top card HTML cannot exceed ${MAX_TOP_CARD_HTML} characters`
+        }
+      }
+    },
+
+    htmlTruncated: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
+    rulesVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    extensionVersion: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+
+    capturedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Model options
+    tableName: 'extraction_failures',
+    timestamps: true,
+    updatedAt: false, // Bundles are evidence; they are never modified
+    indexes: [
+      {
+        fields: ['capturedAt']
+      }
+    ]
+  });
+
+  ExtractionFailure.MAX_TOP_CARD_HTML = MAX_TOP_CARD_HTML;
+
+  // Class methods
+  ExtractionFailure.getList = function({ url = null, since = null, limit = 20, offset = 0 } = {}) {
+    const { Op } = require('sequelize');
+    const where = {};
+
+    if (url) where.url = { [Op.like]: `%${url}%` };
+    if (since) where.capturedAt = { [Op.gte]: since };
+
+    return this.findAndCountAll({
+      where,
+      // The markup and stack are only part of the full bundle
+      attributes: { exclude: ['topCardHtml', 'errorStack', 'selectorReport'] },
+      order: [['capturedAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+  };
+
+  return ExtractionFailure;
+};
@@ -0,0 +1,73 @@
+module.exports = (sequelize, DataTypes) => {
+  const ExtractionRules = sequelize.define('ExtractionRules', {
+    // Primary Key
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+
+    // Increases by one with every published document
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+
+    // Rules document (selectors, limits...) validated against utils/extractionRules
+    rules: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    publishedBy: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    // Model options
+    tableName: 'extraction_rules',
+    timestamps: true,
+    updatedAt: false // Published versions are never modified
+  });
+
+  // Class methods
+  ExtractionRules.getLatest = function() {
+    return this.findOne({ order: [['version', 'DESC']] });
+  };
+
+  ExtractionRules.findByVersion = function(version) {
+    return this.findOne({ where: { version } });
+  };
+
+  ExtractionRules.getVersions = function({ limit = 20, offset = 0 } = {}) {
+    return this.findAndCountAll({
+      attributes: ['id', 'version', 'notes', 'publishedBy', 'createdAt'],
+      order: [['version', 'DESC']],
+      limit,
+      offset
+    });
+  };
+
+  // Store `rules` as the next version
+  ExtractionRules.publish = function(rules, { notes = null, publishedBy = null } = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const latestVersion = await this.max('version', { transaction });
+
+      return this.create({
+        version: (latestVersion || 0) + 1,
+        rules,
+        notes,
+        publishedBy
+      }, { transaction });
+    });
+  };
+
+  return ExtractionRules;
+};
@@ -11,6 +11,60 @@ const sequelize = new Sequelize({
 // Import models
 const db = { sequelize };
 db.Profile = require('./profile')(sequelize, DataTypes);
+db.ProfileSnapshot = require('./profileSnapshot')(sequelize, DataTypes);
+db.ExtractionRules = require('./extractionRules')(sequelize, DataTypes);
+db.ExtractionFailure = require('./extractionFailure')(sequelize, DataTypes);
+
+// Set up associations between models
+Object.values(db).forEach(model => {
+  if (model.associate) {
+    model.associate(db);
+  }
+});
+
+// Add columns introduced by newer model versions to tables that already exist.
+// Purely additive: existing columns and data are never touched.
+const addMissingColumns = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const existingTables = await queryInterface.showAllTables();
+
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    if (!existingTables.includes(tableName)) continue;
+
+    const columns = await queryInterface.describeTable(tableName);
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      if (columns[attribute.field || name]) continue;
+
+      console.log(`🔧 Adding missing column ${tableName}.${name}`);
+      await queryInterface.addColumn(tableName, attribute.field || name, {
+        type: attribute.type,
+        allowNull: true,
+        defaultValue: attribute.defaultValue
+      });
+    }
+  }
+};
+
+// Create the indexes a model declares on tables that predate them, such as the
+// unique publicIdentifier index once addMissingColumns has added that column.
+const addMissingIndexes = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const existingTables = await queryInterface.showAllTables();
+
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    if (!existingTables.includes(tableName)) continue;
+
+    const existingIndexes = (await queryInterface.showIndex(tableName)).map(index => index.name);
+    for (const index of model.options.indexes || []) {
+      if (existingIndexes.includes(index.name)) continue;
+
+      console.log(`🔧 Adding missing index ${index.name}`);
+      await queryInterface.addIndex(tableName, index);
+    }
+  }
+};
 
 // Initialize database and sync models
 const initializeDatabase = async () => {
@@ -19,10 +73,22 @@ const initializeDatabase = async () => {
     await sequelize.authenticate();
     console.log('✅ Database connected');
 
+    await addMissingColumns();
+    await addMissingIndexes();
+
     console.log('🔄 Synchronizing models...');
     // Create tables if they don't exist; do not alter existing schema or create backups
     await sequelize.sync({ alter: false });
     console.log('✅ Models synchronized');
+
+    // Rows saved before publicIdentifier existed are not covered by its unique index yet
+    const { filled, duplicates } = await db.Profile.backfillPublicIdentifiers();
+    if (filled > 0) {
+      console.log(`🔧 Filled publicIdentifier on ${filled} existing profiles`);
+    }
+    if (duplicates > 0) {
+      console.warn(`⚠️ ${duplicates} profiles point to an already stored LinkedIn profile - run "npm run db:migrate:urls" to merge them`);
+    }
     return true;
   } catch (err) {
     console.error('❌ Database init failed:', err);
@@ -30,4 +96,4 @@ const initializeDatabase = async () => {
   }
 };
 
-module.exports = { ...db, initializeDatabase };
+module.exports = { ...db, initializeDatabase, addMissingColumns, addMissingIndexes };
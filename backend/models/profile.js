@@ -1,3 +1,271 @@
+const { parseProfileUrl } = require('../utils/linkedinUrl');
+
+// Fields a re-scrape is allowed to refresh on an existing profile
+const MERGEABLE_FIELDS = [
+  'name',
+  'about',
+  'bio',
+  'location',
+  'followerCount',
+  'connectionCount',
+  'bioLine',
+  'headline',
+  'industry',
+  'profilePicture',
+  'experience',
+  'education',
+  'skills',
+  'certifications',
+  'languages',
+  'projects',
+  'volunteering',
+  'honors'
+];
+
+const COUNT_FIELDS = ['followerCount', 'connectionCount'];
+
+// Limits for the user's own annotations (tags and notes)
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_NOTES_LENGTH = 5000;
+
+// Matches the extension's threshold for fields a reviewer should double-check
+const LOW_CONFIDENCE = 0.7;
+
+// Fields kept from an earlier scrape keep the provenance they were scraped with
+const mergeExtractionMeta = (previous, incoming, appliedFields) => {
+  const previousFields = (previous && previous.fields) || {};
+  const fields = { ...previousFields };
+
+  Object.keys(incoming.fields || {}).forEach(field => {
+    if (appliedFields.includes(field) || !(field in previousFields)) {
+      fields[field] = incoming.fields[field];
+    }
+  });
+
+  const described = Object.keys(fields).filter(field => fields[field] && typeof fields[field].confidence === 'number');
+  const total = described.reduce((sum, field) => sum + fields[field].confidence, 0);
+
+  return {
+    ...incoming,
+    fields,
+    averageConfidence: described.length > 0 ? Math.round(total / described.length * 100) / 100 : 0,
+    lowConfidenceFields: described.filter(field => fields[field].confidence < LOW_CONFIDENCE)
+  };
+};
+
+// Experience positions: {title, company, employmentType, location, workplaceType,
+// startDate, endDate, isCurrent, duration, durationMonths, description, order}.
+// Dates are ISO year-month ("2020-01"), or just the year when that is all LinkedIn shows.
+// Everything but title/company is optional so older records stay valid.
+const EXPERIENCE_DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+const EXPERIENCE_TEXT_FIELDS = ['employmentType', 'location', 'workplaceType', 'duration', 'description'];
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+const checkOptionalStrings = (entry, fields, label) => {
+  fields.forEach(field => {
+    if (isPresent(entry[field]) && typeof entry[field] !== 'string') {
+      throw new Error(`${label}: ${field} must be a string or null`);
+    }
+  });
+};
+
+const checkOrder = (entry, label) => {
+  if (isPresent(entry.order) && !Number.isInteger(entry.order)) {
+    throw new Error(`${label}: order must be an integer`);
+  }
+};
+
+const validateExperienceEntry = (entry, index) => {
+  const label = `Experience entry ${index}`;
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  ['title', 'company'].forEach(field => {
+    if (isPresent(entry[field]) && typeof entry[field] !== 'string') {
+      throw new Error(`${label}: ${field} must be a string`);
+    }
+  });
+
+  if (!entry.title && !entry.company) {
+    throw new Error(`${label} needs a title or a company`);
+  }
+
+  checkOptionalStrings(entry, EXPERIENCE_TEXT_FIELDS, label);
+
+  ['startDate', 'endDate'].forEach(field => {
+    if (isPresent(entry[field]) && !EXPERIENCE_DATE_PATTERN.test(entry[field])) {
+      throw new Error(`${label}: ${field} must be YYYY-MM or YYYY`);
+    }
+  });
+
+  // Compare at the precision both dates share
+  if (entry.startDate && entry.endDate) {
+    const precision = Math.min(entry.startDate.length, entry.endDate.length);
+    if (entry.endDate.slice(0, precision) < entry.startDate.slice(0, precision)) {
+      throw new Error(`${label}: endDate is before startDate`);
+    }
+  }
+
+  if (isPresent(entry.isCurrent)) {
+    if (typeof entry.isCurrent !== 'boolean') {
+      throw new Error(`${label}: isCurrent must be a boolean`);
+    }
+    if (entry.isCurrent && isPresent(entry.endDate)) {
+      throw new Error(`${label}: a current position cannot have an endDate`);
+    }
+  }
+
+  if (isPresent(entry.durationMonths) && !(Number.isInteger(entry.durationMonths) && entry.durationMonths >= 0)) {
+    throw new Error(`${label}: durationMonths must be a non-negative integer`);
+  }
+
+  checkOrder(entry, label);
+};
+
+// Education entries: {school, degree, fieldOfStudy, startYear, endYear, grade,
+// activities, description, order}. Only the school is required.
+const EDUCATION_TEXT_FIELDS = ['degree', 'fieldOfStudy', 'grade', 'activities', 'description'];
+
+const validateEducationEntry = (entry, index) => {
+  const label = `Education entry ${index}`;
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  if (typeof entry.school !== 'string' || entry.school.trim() === '') {
+    throw new Error(`${label} needs a school`);
+  }
+
+  checkOptionalStrings(entry, EDUCATION_TEXT_FIELDS, label);
+
+  ['startYear', 'endYear'].forEach(field => {
+    if (isPresent(entry[field]) && !(Number.isInteger(entry[field]) && entry[field] >= 1900 && entry[field] <= 2100)) {
+      throw new Error(`${label}: ${field} must be a four-digit year`);
+    }
+  });
+
+  if (isPresent(entry.startYear) && isPresent(entry.endYear) && entry.endYear < entry.startYear) {
+    throw new Error(`${label}: endYear is before startYear`);
+  }
+
+  checkOrder(entry, label);
+};
+
+// Certifications, languages, projects, volunteering and honors. Each entry needs the
+// field that names it; everything else is optional. Dates share the experience format.
+const SECTION_RULES = {
+  // {name, issuer, issueDate, expirationDate, credentialId, credentialUrl}
+  certifications: {
+    label: 'Certification',
+    maxEntries: 100,
+    required: 'name',
+    maxLengths: { name: 255, issuer: 255, credentialId: 255 },
+    dates: ['issueDate', 'expirationDate'],
+    urls: ['credentialUrl']
+  },
+  // {name, proficiency}
+  languages: {
+    label: 'Language',
+    maxEntries: 50,
+    required: 'name',
+    maxLengths: { name: 100, proficiency: 100 }
+  },
+  // {title, startDate, endDate, isCurrent, associatedWith, description, url}
+  projects: {
+    label: 'Project',
+    maxEntries: 100,
+    required: 'title',
+    maxLengths: { title: 255, associatedWith: 255, description: 5000 },
+    dates: ['startDate', 'endDate'],
+    urls: ['url']
+  },
+  // {role, organization, cause, startDate, endDate, isCurrent, durationMonths, description}
+  volunteering: {
+    label: 'Volunteering entry',
+    maxEntries: 100,
+    required: 'role',
+    maxLengths: { role: 255, organization: 255, cause: 255, description: 5000 },
+    dates: ['startDate', 'endDate']
+  },
+  // {title, issuer, date, associatedWith, description}
+  honors: {
+    label: 'Honor',
+    maxEntries: 100,
+    required: 'title',
+    maxLengths: { title: 255, issuer: 255, associatedWith: 255, description: 5000 },
+    dates: ['date']
+  }
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const validateSectionEntries = (section, value) => {
+  const { label, maxEntries, required, maxLengths, dates = [], urls = [] } = SECTION_RULES[section];
+
+  if (value === null || value === undefined) return;
+
+  const sectionName = section.charAt(0).toUpperCase() + section.slice(1);
+
+  if (!Array.isArray(value)) {
+    throw new Error(`${sectionName} must be a valid JSON array`);
+  }
+
+  if (value.length > maxEntries) {
+    throw new Error(`${sectionName} cannot have more than ${maxEntries} entries`);
+  }
+
+  value.forEach((entry, index) => {
+    const entryLabel = `${label} ${index}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`${entryLabel} must be an object`);
+    }
+
+    if (typeof entry[required] !== 'string' || entry[required].trim() === '') {
+      throw new Error(`${entryLabel} needs a ${required}`);
+    }
+
+    checkOptionalStrings(entry, Object.keys(maxLengths), entryLabel);
+    Object.entries(maxLengths).forEach(([field, max]) => {
+      if (isPresent(entry[field]) && entry[field].length > max) {
+        throw new Error(`${entryLabel}: ${field} cannot exceed ${max} characters`);
+      }
+    });
+
+    dates.forEach(field => {
+      if (isPresent(entry[field]) && !EXPERIENCE_DATE_PATTERN.test(entry[field])) {
+        throw new Error(`${entryLabel}: ${field} must be YYYY-MM or YYYY`);
+      }
+    });
+
+    urls.forEach(field => {
+      if (isPresent(entry[field]) && !isHttpUrl(entry[field])) {
+        throw new Error(`${entryLabel}: ${field} must be a valid URL`);
+      }
+    });
+
+    if (isPresent(entry.isCurrent) && typeof entry.isCurrent !== 'boolean') {
+      throw new Error(`${entryLabel}: isCurrent must be a boolean`);
+    }
+
+    checkOrder(entry, entryLabel);
+  });
+};
+
+// How POST /api/profiles handles a URL that is already stored
+const ON_CONFLICT_MODES = ['error', 'skip', 'update'];
+
 module.exports = (sequelize, DataTypes) => {
   const Profile = sequelize.define('Profile', {
     // Primary Key
@@ -41,6 +309,12 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     
+    // Stable LinkedIn vanity name derived from the URL (e.g. "jdoe")
+    publicIdentifier: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    
     // Optional Fields
     about: {
       type: DataTypes.TEXT,
@@ -105,6 +379,13 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     
+    // LinkedIn shows "500+" past 500 connections; the count is then only a minimum
+    connectionCountIsLowerBound: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    
     bioLine: {
       type: DataTypes.STRING(500),
       allowNull: true,
@@ -155,10 +436,14 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       defaultValue: [],
       validate: {
-        isValidJSON(value) {
-          if (value && typeof value !== 'object') {
+        isValidExperience(value) {
+          if (value === null || value === undefined) return;
+
+          if (!Array.isArray(value)) {
             throw new Error('Experience must be a valid JSON array');
           }
+
+          value.forEach(validateExperienceEntry);
         }
       }
     },
@@ -168,10 +453,14 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       defaultValue: [],
       validate: {
-        isValidJSON(value) {
-          if (value && typeof value !== 'object') {
+        isValidEducation(value) {
+          if (value === null || value === undefined) return;
+
+          if (!Array.isArray(value)) {
             throw new Error('Education must be a valid JSON array');
           }
+
+          value.forEach(validateEducationEntry);
         }
       }
     },
@@ -189,6 +478,62 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     
+    // Further profile sections; entry shapes are described in SECTION_RULES
+    certifications: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isValidSection(value) {
+          validateSectionEntries('certifications', value);
+        }
+      }
+    },
+    
+    languages: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isValidSection(value) {
+          validateSectionEntries('languages', value);
+        }
+      }
+    },
+    
+    projects: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isValidSection(value) {
+          validateSectionEntries('projects', value);
+        }
+      }
+    },
+    
+    volunteering: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isValidSection(value) {
+          validateSectionEntries('volunteering', value);
+        }
+      }
+    },
+    
+    honors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isValidSection(value) {
+          validateSectionEntries('honors', value);
+        }
+      }
+    },
+    
     // Metadata fields
     extractedAt: {
       type: DataTypes.DATE,
@@ -217,6 +562,51 @@ module.exports = (sequelize, DataTypes) => {
     extractionErrors: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    
+    // Per-field provenance from the extractor: {fields: {name: {source, selector,
+    // confidence}, ...}, averageConfidence, lowConfidenceFields, rulesVersion, ...}
+    extractionMeta: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      validate: {
+        isValidMeta(value) {
+          if (value && (typeof value !== 'object' || Array.isArray(value))) {
+            throw new Error('Extraction meta must be a JSON object');
+          }
+          if (value && value.fields && (typeof value.fields !== 'object' || Array.isArray(value.fields))) {
+            throw new Error('Extraction meta fields must be a JSON object');
+          }
+        }
+      }
+    },
+    
+    // User annotations; a re-scrape never touches them and they are not part of the history
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isValidTags(value) {
+          if (value && (!Array.isArray(value) || value.some(tag => typeof tag !== 'string'))) {
+            throw new Error('Tags must be an array of strings');
+          }
+          if (value && value.length > MAX_TAGS) {
+            throw new Error(`A profile can have at most ${MAX_TAGS} tags`);
+          }
+        }
+      }
+    },
+    
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, MAX_NOTES_LENGTH],
+          msg: `Notes cannot exceed ${MAX_NOTES_LENGTH} characters`
+        }
+      }
     }
   }, {
     // Model options
@@ -229,6 +619,10 @@ module.exports = (sequelize, DataTypes) => {
         unique: true,
         fields: ['url']
       },
+      {
+        unique: true,
+        fields: ['publicIdentifier']
+      },
       {
         fields: ['name']
       },
@@ -259,30 +653,62 @@ module.exports = (sequelize, DataTypes) => {
         }
       },
       
-      // Validate LinkedIn URL format
+      // Store every LinkedIn URL variant in canonical form
       beforeValidate: (profile, options) => {
-        if (profile.url && !profile.url.startsWith('http')) {
-          if (profile.url.includes('linkedin.com/in/')) {
-            profile.url = 'https://' + profile.url;
-          }
+        const parsed = parseProfileUrl(profile.url);
+        if (parsed) {
+          profile.url = parsed.canonicalUrl;
+          profile.publicIdentifier = parsed.publicIdentifier;
+        }
+      },
+      
+      // Record a history snapshot whenever extracted data changes
+      afterSave: async (profile, options) => {
+        const { ProfileSnapshot } = sequelize.models;
+        if (!ProfileSnapshot) return;
+        
+        const changedFields = profile.changed() || [];
+        const hasExtractedChanges = ProfileSnapshot.SNAPSHOT_FIELDS.some(field => changedFields.includes(field));
+        
+        if (profile.isNewRecord || hasExtractedChanges) {
+          // Re-scrapes that don't send their own extractedAt are stamped with the save time
+          const extractedAt = profile.isNewRecord || changedFields.includes('extractedAt') ?
+            profile.extractedAt : new Date();
+          
+          await ProfileSnapshot.recordFromProfile(profile, extractedAt, {
+            transaction: options.transaction
+          });
         }
       }
     }
   });
   
+  // Associations
+  Profile.associate = function(models) {
+    Profile.hasMany(models.ProfileSnapshot, {
+      foreignKey: 'profileId',
+      as: 'snapshots',
+      onDelete: 'CASCADE',
+      hooks: true
+    });
+  };
+  
   // Instance methods (methods available on individual profile instances)
   Profile.prototype.getFullInfo = function() {
     return {
       id: this.id,
       name: this.name,
       url: this.url,
+      publicIdentifier: this.publicIdentifier,
       headline: this.headline || this.bioLine,
       location: this.location,
       followerCount: this.followerCount,
       connectionCount: this.connectionCount,
+      connectionCountIsLowerBound: this.connectionCountIsLowerBound,
       extractedAt: this.extractedAt,
       lastUpdated: this.lastUpdated,
-      status: this.extractionStatus
+      status: this.extractionStatus,
+      tags: this.tags || []
     };
   };
   
@@ -298,9 +724,119 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
   
+  // Merge freshly extracted data into this profile without saving it.
+  // Empty values never overwrite stored ones, and counts of 0 are treated as
+  // "not found" since a failed count parse yields 0. Returns the changed fields.
+  // lastUpdated is always bumped: a re-scrape confirms the record even when
+  // nothing changed, which is what staleness checks look at.
+  Profile.prototype.mergeExtractedData = function(data) {
+    const isEmpty = (field, value) => {
+      if (value === undefined || value === null || value === '') return true;
+      if (Array.isArray(value)) return value.length === 0;
+      if (COUNT_FIELDS.includes(field)) return !(parseInt(value) > 0);
+      return false;
+    };
+    
+    const appliedFields = MERGEABLE_FIELDS.filter(field => !isEmpty(field, data[field]));
+    appliedFields.forEach(field => {
+      this.set(field, data[field]);
+    });
+    
+    // The flag qualifies the count it was scraped with, so it only changes along with it
+    if (appliedFields.includes('connectionCount')) {
+      this.set('connectionCountIsLowerBound', data.connectionCountIsLowerBound === true);
+    }
+    
+    // Never downgrade a successful extraction because of a weaker re-scrape
+    if (data.extractionStatus && (data.extractionStatus === 'success' || this.previous('extractionStatus') !== 'success')) {
+      this.set('extractionStatus', data.extractionStatus);
+    }
+    
+    if (data.extractionMeta && typeof data.extractionMeta === 'object') {
+      this.set('extractionMeta', mergeExtractionMeta(this.extractionMeta, data.extractionMeta, appliedFields));
+    }
+    
+    // Provenance changes on every scrape; it is not a change to the profile itself
+    const changedFields = (this.changed() || []).filter(field => !['lastUpdated', 'extractionMeta'].includes(field));
+    
+    if (changedFields.length > 0) {
+      this.set('extractedAt', data.extractedAt ? new Date(data.extractedAt) : new Date());
+    }
+    
+    this.set('lastUpdated', new Date());
+    
+    return changedFields;
+  };
+  
   // Class methods (methods available on the Profile model itself)
+  Profile.ON_CONFLICT_MODES = ON_CONFLICT_MODES;
+  Profile.MAX_TAGS = MAX_TAGS;
+  Profile.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+  Profile.MAX_NOTES_LENGTH = MAX_NOTES_LENGTH;
+  
+  // Trim tags and drop empty ones and case-insensitive repeats, keeping the first spelling
+  Profile.normalizeTags = function(tags) {
+    const seen = new Set();
+    
+    return tags
+      .map(tag => tag.trim().replace(/\s+/g, ' '))
+      .filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  };
+  
+  // Accepts any URL variant of a profile (see utils/linkedinUrl)
   Profile.findByUrl = function(url) {
-    return this.findOne({ where: { url } });
+    const { Op } = require('sequelize');
+    const parsed = parseProfileUrl(url);
+    
+    if (!parsed) {
+      return this.findOne({ where: { url } });
+    }
+    
+    return this.findOne({
+      where: {
+        [Op.or]: [
+          { publicIdentifier: parsed.publicIdentifier },
+          { url: parsed.canonicalUrl }
+        ]
+      }
+    });
+  };
+  
+  // Set publicIdentifier on rows stored before the column existed. A row whose profile
+  // is already claimed by another row is left empty (and counted) so the unique index
+  // holds; `npm run db:migrate:urls` merges those rows.
+  Profile.backfillPublicIdentifiers = async function() {
+    const rows = await this.findAll({
+      where: { publicIdentifier: null },
+      attributes: ['id', 'url'],
+      order: [['id', 'ASC']]
+    });
+    const summary = { filled: 0, duplicates: 0 };
+
+    for (const row of rows) {
+      const parsed = parseProfileUrl(row.url);
+      if (!parsed) continue;
+
+      const claimed = await this.count({ where: { publicIdentifier: parsed.publicIdentifier } });
+      if (claimed > 0) {
+        summary.duplicates++;
+        continue;
+      }
+
+      // Skip hooks: this is bookkeeping, not a new extraction (no snapshot, lastUpdated kept)
+      await this.update(
+        { publicIdentifier: parsed.publicIdentifier },
+        { where: { id: row.id }, hooks: false, silent: true }
+      );
+      summary.filled++;
+    }
+
+    return summary;
   };
   
   Profile.findByName = function(name) {
@@ -357,6 +893,68 @@ module.exports = (sequelize, DataTypes) => {
     }
   };
   
+  // Profiles due for a re-scrape: not refreshed in `maxAgeDays`, or whose last
+  // extraction was incomplete (retried once `retryAfterHours` have passed).
+  // Failed first, then partial, then plain stale; oldest first within each group.
+  Profile.getRefreshCandidates = async function({ maxAgeDays = 7, retryAfterHours = 24, statuses = ['failed', 'partial'], limit = 50 } = {}) {
+    const { Op } = require('sequelize');
+    const staleBefore = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+    const retryBefore = new Date(Date.now() - retryAfterHours * 60 * 60 * 1000);
+    
+    const conditions = [{ lastUpdated: { [Op.lt]: staleBefore } }];
+    if (statuses.length > 0) {
+      conditions.push({
+        extractionStatus: { [Op.in]: statuses },
+        lastUpdated: { [Op.lt]: retryBefore }
+      });
+    }
+    
+    const priority = this.sequelize.literal(
+      "CASE extractionStatus WHEN 'failed' THEN 0 WHEN 'partial' THEN 1 ELSE 2 END"
+    );
+    
+    const profiles = await this.findAll({
+      where: { [Op.or]: conditions },
+      order: [[priority, 'ASC'], ['lastUpdated', 'ASC']],
+      limit
+    });
+    
+    return profiles.map(profile => ({
+      profile,
+      reason: statuses.includes(profile.extractionStatus) ? profile.extractionStatus : 'stale'
+    }));
+  };
+  
+  // Where-clause condition for profiles whose `field` JSON array has an entry
+  // with `property` containing `text` (case-insensitive), e.g. education.school.
+  // `field` and `property` come from our own code, never from the request.
+  Profile.whereJsonEntryLike = function(field, property, text) {
+    const pattern = this.sequelize.escape(`%${text}%`);
+    return this.sequelize.literal(
+      `EXISTS (SELECT 1 FROM json_each(\`Profile\`.\`${field}\`) ` +
+      `WHERE json_extract(json_each.value, '$.${property}') LIKE ${pattern})`
+    );
+  };
+  
+  // Query parameters of GET /api/profiles that filter on entries of a JSON section:
+  // parameter -> [column, entry property]
+  Profile.SECTION_FILTERS = {
+    school: ['education', 'school'],
+    certification: ['certifications', 'name'],
+    issuer: ['certifications', 'issuer'],
+    language: ['languages', 'name'],
+    project: ['projects', 'title'],
+    volunteering: ['volunteering', 'organization'],
+    honor: ['honors', 'title']
+  };
+  
+  // Conditions for every SECTION_FILTERS parameter present in `query`
+  Profile.sectionFilterConditions = function(query) {
+    return Object.keys(this.SECTION_FILTERS)
+      .filter(param => query[param])
+      .map(param => this.whereJsonEntryLike(...this.SECTION_FILTERS[param], query[param]));
+  };
+  
   Profile.getRecentProfiles = function(limit = 10) {
     return this.findAll({
       order: [['createdAt', 'DESC']],
@@ -0,0 +1,242 @@
+// Fields copied from a Profile into each snapshot
+const SNAPSHOT_FIELDS = [
+  'name',
+  'url',
+  'about',
+  'bio',
+  'location',
+  'followerCount',
+  'connectionCount',
+  'connectionCountIsLowerBound',
+  'bioLine',
+  'headline',
+  'industry',
+  'profilePicture',
+  'experience',
+  'education',
+  'skills',
+  'certifications',
+  'languages',
+  'projects',
+  'volunteering',
+  'honors',
+  'extractionStatus'
+];
+
+module.exports = (sequelize, DataTypes) => {
+  const ProfileSnapshot = sequelize.define('ProfileSnapshot', {
+    // Primary Key
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+
+    // Canonical profile this snapshot belongs to
+    profileId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+
+    // Extracted data at the time of the snapshot
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+
+    about: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    bio: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    location: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    followerCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    connectionCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    connectionCountIsLowerBound: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+
+    bioLine: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+
+    headline: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+
+    industry: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    profilePicture: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // JSON fields for complex data
+    experience: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    education: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    skills: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    certifications: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    languages: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    projects: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    volunteering: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    honors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+
+    // Metadata fields
+    extractionStatus: {
+      type: DataTypes.ENUM('pending', 'success', 'failed', 'partial'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+
+    extractedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Model options
+    tableName: 'profile_snapshots',
+    timestamps: true,
+    updatedAt: false, // Snapshots are never modified once written
+
+    // Database indexes for performance
+    indexes: [
+      {
+        fields: ['profileId', 'extractedAt']
+      }
+    ]
+  });
+
+  // Associations
+  ProfileSnapshot.associate = function(models) {
+    ProfileSnapshot.belongsTo(models.Profile, {
+      foreignKey: 'profileId',
+      as: 'profile',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  // Class methods
+  ProfileSnapshot.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+  // Copy the current state of a profile into a new snapshot row
+  ProfileSnapshot.recordFromProfile = function(profile, extractedAt = new Date(), options = {}) {
+    const data = { profileId: profile.id, extractedAt };
+
+    SNAPSHOT_FIELDS.forEach(field => {
+      data[field] = profile.get(field);
+    });
+
+    return this.create(data, options);
+  };
+
+  // Newest extraction first; a snapshot saved late (outbox, backfill) sorts by when it was scraped
+  const NEWEST_FIRST = [['extractedAt', 'DESC'], ['id', 'DESC']];
+
+  ProfileSnapshot.getHistory = function(profileId, { limit = 20, offset = 0 } = {}) {
+    return this.findAndCountAll({
+      where: { profileId },
+      order: NEWEST_FIRST,
+      limit,
+      offset
+    });
+  };
+
+  ProfileSnapshot.findForProfile = function(profileId, snapshotId) {
+    return this.findOne({ where: { id: snapshotId, profileId } });
+  };
+
+  ProfileSnapshot.findLatest = function(profileId) {
+    return this.findOne({
+      where: { profileId },
+      order: NEWEST_FIRST
+    });
+  };
+
+  // Snapshot just before the given one in history order
+  ProfileSnapshot.findPrevious = function(snapshot) {
+    const { Op } = require('sequelize');
+    return this.findOne({
+      where: {
+        profileId: snapshot.profileId,
+        [Op.or]: [
+          { extractedAt: { [Op.lt]: snapshot.extractedAt } },
+          { extractedAt: snapshot.extractedAt, id: { [Op.lt]: snapshot.id } }
+        ]
+      },
+      order: NEWEST_FIRST
+    });
+  };
+
+  return ProfileSnapshot;
+};
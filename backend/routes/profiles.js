@@ -15,9 +15,21 @@ router.get('/', ProfileController.getAllProfiles);
 // GET /api/profiles/stats - Get profile statistics (must be before /:id route)
 router.get('/stats', ProfileController.getProfileStats);
 
+// GET /api/profiles/stale - Profiles due for a re-scrape (must be before /:id route)
+router.get('/stale', ProfileController.getStaleProfiles);
+
 // GET /api/profiles/:id - Get single profile by ID
 router.get('/:id', ProfileController.getProfileById);
 
+// GET /api/profiles/:id/history - Get extraction history for a profile
+router.get('/:id/history', ProfileController.getProfileHistory);
+
+// GET /api/profiles/:id/history/:snapshotId - Get a single snapshot of a profile
+router.get('/:id/history/:snapshotId', ProfileController.getProfileSnapshot);
+
+// GET /api/profiles/:id/diff - Field-level diff between two snapshots
+router.get('/:id/diff', ProfileController.getProfileDiff);
+
 // POST /api/profiles - Create new profile (main endpoint for Chrome extension)
 router.post('/', validateProfile, ProfileController.createProfile);
 
@@ -27,6 +39,9 @@ router.post('/batch', validateBatchProfiles, ProfileController.createBatchProfil
 // PUT /api/profiles/:id - Update existing profile
 router.put('/:id', validateProfile, ProfileController.updateProfile);
 
+// PATCH /api/profiles/:id/annotations - Set the user's tags and notes
+router.patch('/:id/annotations', ProfileController.updateProfileAnnotations);
+
 // DELETE /api/profiles/:id - Delete profile
 router.delete('/:id', ProfileController.deleteProfile);
 
@@ -77,39 +92,7 @@ router.get('/search/:query', async (req, res) => {
     }
 });
 
-// GET /api/profiles/by-url/:encodedUrl - Find profile by LinkedIn URL
-router.get('/by-url/:encodedUrl', async (req, res) => {
-    try {
-        const { encodedUrl } = req.params;
-        const url = decodeURIComponent(encodedUrl);
-
-        const { Profile } = require('../models');
-        const profile = await Profile.findByUrl(url);
-
-        if (!profile) {
-            return res.status(404).json({
-                success: false,
-                message: 'Profile not found with this URL',
-                url,
-                timestamp: new Date().toISOString()
-            });
-        }
-
-        res.json({
-            success: true,
-            message: 'Profile found',
-            data: { profile },
-            timestamp: new Date().toISOString()
-        });
-
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Failed to find profile by URL',
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+// GET /api/profiles/by-url/:encodedUrl - Find profile by any variant of its LinkedIn URL
+router.get('/by-url/:encodedUrl', ProfileController.getProfileByUrl);
 
 module.exports = router;
\ No newline at end of file
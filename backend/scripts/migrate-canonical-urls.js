@@ -0,0 +1,123 @@
+const db = require('../models');
+const { parseProfileUrl } = require('../utils/linkedinUrl');
+
+// One-off migration: rewrite stored profile URLs to their canonical form and
+// merge rows that turn out to be the same LinkedIn profile.
+// Run with --dry-run to only print what would change.
+async function migrateCanonicalUrls({ dryRun = false } = {}) {
+    const summary = {
+        scanned: 0,
+        rewritten: 0,
+        merged: 0,
+        invalid: []
+    };
+
+    try {
+        console.log(`🔄 Canonicalizing profile URLs${dryRun ? ' (dry run)' : ''}...`);
+
+        // Brings older databases up to the current schema (publicIdentifier, snapshots)
+        if (!await db.initializeDatabase()) {
+            throw new Error('Database initialization failed');
+        }
+
+        const profiles = await db.Profile.findAll({ order: [['createdAt', 'ASC'], ['id', 'ASC']] });
+        summary.scanned = profiles.length;
+
+        // Group rows by the profile they actually point to
+        const groups = new Map();
+        for (const profile of profiles) {
+            const parsed = parseProfileUrl(profile.url);
+            if (!parsed) {
+                summary.invalid.push({ id: profile.id, url: profile.url });
+                continue;
+            }
+
+            if (!groups.has(parsed.publicIdentifier)) {
+                groups.set(parsed.publicIdentifier, { parsed, profiles: [] });
+            }
+            groups.get(parsed.publicIdentifier).profiles.push(profile);
+        }
+
+        for (const { parsed, profiles: group } of groups.values()) {
+            // The oldest row keeps its id; fields are merged oldest to freshest
+            // so the most recently scraped non-empty value wins
+            const [survivor, ...duplicates] = group;
+            const survivorData = survivor.get({ plain: true });
+            const byFreshness = [...group].sort((a, b) => new Date(a.lastUpdated) - new Date(b.lastUpdated));
+            const freshestUpdate = byFreshness[byFreshness.length - 1].lastUpdated;
+
+            if (duplicates.length > 0) {
+                console.log(`🔗 ${parsed.publicIdentifier}: merging ids ${duplicates.map(p => p.id).join(', ')} into ${survivor.id}`);
+            }
+
+            if (dryRun) {
+                summary.merged += duplicates.length;
+                if (survivor.url !== parsed.canonicalUrl || survivor.publicIdentifier !== parsed.publicIdentifier) {
+                    summary.rewritten++;
+                }
+                continue;
+            }
+
+            await db.sequelize.transaction(async (transaction) => {
+                for (const row of byFreshness) {
+                    survivor.mergeExtractedData(row === survivor ? survivorData : row.get({ plain: true }));
+                }
+
+                // Merging is not a re-scrape; keep the freshest row's timestamp
+                survivor.lastUpdated = freshestUpdate;
+
+                for (const duplicate of duplicates) {
+                    // Keep the duplicate's extraction history under the surviving profile
+                    await db.ProfileSnapshot.update(
+                        { profileId: survivor.id },
+                        { where: { profileId: duplicate.id }, transaction }
+                    );
+
+                    await duplicate.destroy({ transaction });
+                    summary.merged++;
+                }
+
+                const needsRewrite = survivor.url !== parsed.canonicalUrl ||
+                    survivor.publicIdentifier !== parsed.publicIdentifier;
+
+                if (needsRewrite || survivor.changed()) {
+                    survivor.url = parsed.canonicalUrl;
+                    survivor.publicIdentifier = parsed.publicIdentifier;
+
+                    // Skip hooks so the migration itself does not add history snapshots
+                    await survivor.save({ transaction, hooks: false });
+                    if (needsRewrite) summary.rewritten++;
+                }
+            });
+        }
+
+        console.log('✅ Migration complete:', {
+            scanned: summary.scanned,
+            rewritten: summary.rewritten,
+            merged: summary.merged,
+            invalid: summary.invalid.length
+        });
+
+        if (summary.invalid.length > 0) {
+            console.warn('⚠️ Rows with URLs that are not LinkedIn profile URLs were left untouched:', summary.invalid);
+        }
+
+        return summary;
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        console.error(error);
+        process.exitCode = 1;
+        return summary;
+    } finally {
+        await db.sequelize.close();
+        console.log('🔒 Database connection closed');
+    }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+    migrateCanonicalUrls({ dryRun: process.argv.includes('--dry-run') });
+}
+
+module.exports = migrateCanonicalUrls;
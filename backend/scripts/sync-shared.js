@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// The URL canonicalizer and extractor schema are written once, in the extension
+// (chrome-extension/shared), and copied into backend/shared so the backend package
+// runs on its own. Run after editing the extension's copy; --check only compares.
+const SOURCE_DIR = path.join(__dirname, '../../chrome-extension/shared');
+const TARGET_DIR = path.join(__dirname, '../shared');
+const SHARED_FILES = ['linkedinUrl.js', 'profileExtractor.js'];
+
+function syncShared({ check = false } = {}) {
+    if (!fs.existsSync(SOURCE_DIR)) {
+        // Deployed without the extension: the committed copies are all there is
+        console.log('ℹ️ chrome-extension/shared not found, using the copies in backend/shared');
+        return true;
+    }
+
+    const outdated = SHARED_FILES.filter(file => {
+        const source = fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8');
+        const targetPath = path.join(TARGET_DIR, file);
+        const target = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : null;
+
+        if (source === target) return false;
+
+        if (!check) {
+            fs.mkdirSync(TARGET_DIR, { recursive: true });
+            fs.writeFileSync(targetPath, source);
+            console.log(`🔄 Copied ${file} into backend/shared`);
+        }
+        return true;
+    });
+
+    if (check && outdated.length > 0) {
+        console.error(`❌ backend/shared is out of date (${outdated.join(', ')}) - run "npm run shared:sync"`);
+        return false;
+    }
+
+    console.log(outdated.length > 0 ? '✅ backend/shared updated' : '✅ backend/shared matches the extension');
+    return true;
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    if (!syncShared({ check: process.argv.includes('--check') })) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = syncShared;
@@ -0,0 +1,88 @@
+// Table-driven checks for the follower/connection count parser in the shared extractor
+const { parseCountText } = require('../shared/profileExtractor');
+
+// [text as LinkedIn shows it, expected result (null = no count)]
+const CASES = [
+    // English
+    ['500+ connections', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['342 connections', { count: 342, isLowerBound: false, kind: 'connections' }],
+    ['1 connection', { count: 1, isLowerBound: false, kind: 'connections' }],
+    ['1,234 followers', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ['1,234,567 followers', { count: 1234567, isLowerBound: false, kind: 'followers' }],
+    ['1.2K followers', { count: 1200, isLowerBound: false, kind: 'followers' }],
+    ['12K followers', { count: 12000, isLowerBound: false, kind: 'followers' }],
+    ['2.5M followers', { count: 2500000, isLowerBound: false, kind: 'followers' }],
+    ['35M followers', { count: 35000000, isLowerBound: false, kind: 'followers' }],
+    ['  1,500\n   followers ', { count: 1500, isLowerBound: false, kind: 'followers' }],
+
+    // Other UI languages
+    ['+ de 500 relations', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['12 345 abonnés', { count: 12345, isLowerBound: false, kind: 'followers' }],
+    ['12\u202f345 abonnés', { count: 12345, isLowerBound: false, kind: 'followers' }],
+    ['12\u00a0345 abonnés', { count: 12345, isLowerBound: false, kind: 'followers' }],
+    ['1,2 k abonnés', { count: 1200, isLowerBound: false, kind: 'followers' }],
+    ['500+ Kontakte', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['1.234 Follower', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ['1,2 Mio. Follower', { count: 1200000, isLowerBound: false, kind: 'followers' }],
+    ['Über 500 Kontakte', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['Más de 500 contactos', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['1,5 mil seguidores', { count: 1500, isLowerBound: false, kind: 'followers' }],
+    ['+500 conexões', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['2.345 seguidores', { count: 2345, isLowerBound: false, kind: 'followers' }],
+    ['Oltre 500 collegamenti', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['500+ connecties', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['3.456 volgers', { count: 3456, isLowerBound: false, kind: 'followers' }],
+    ['1 234 följare', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ['Ponad 500 kontaktów', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['500+ bağlantı', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['1.234 takipçi', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ["500'den fazla bağlantı", { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['Более 500 контактов', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['1 234 подписчика', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ['つながり500件以上', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['フォロワー: 1,234人', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ['1.2万 关注者', { count: 12000, isLowerBound: false, kind: 'followers' }],
+    ['500+ 人脉', { count: 500, isLowerBound: true, kind: 'connections' }],
+    ['팔로워 1,234명', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ['1.234 pengikut', { count: 1234, isLowerBound: false, kind: 'followers' }],
+    ['١٬٢٣٤ متابع', { count: 1234, isLowerBound: false, kind: 'followers' }],
+
+    // Numbers that are not the profile's count
+    ['12 mutual connections', { count: 12, isLowerBound: false, kind: null }],
+    ['8 relations en commun', { count: 8, isLowerBound: false, kind: null }],
+    ['1,234 followers · 500+ connections', { count: 1234, isLowerBound: false, kind: null }],
+    ['3rd', null],
+    ['Followers', null],
+    ['', null],
+    [null, null]
+];
+
+function testCountParser() {
+    console.log('🧪 Starting count parser tests...\n');
+
+    const failures = CASES.filter(([text, expected]) => {
+        const actual = parseCountText(text);
+        const passed = JSON.stringify(actual) === JSON.stringify(expected);
+
+        console.log(`${passed ? '✅' : '❌'} ${JSON.stringify(text)} -> ${JSON.stringify(actual)}`);
+        if (!passed) {
+            console.log(`   expected ${JSON.stringify(expected)}`);
+        }
+
+        return !passed;
+    });
+
+    if (failures.length > 0) {
+        console.error(`\n❌ ${failures.length} of ${CASES.length} count parser cases failed`);
+        process.exitCode = 1;
+    } else {
+        console.log(`\n🎉 All ${CASES.length} count parser cases passed!`);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testCountParser();
+}
+
+module.exports = testCountParser;
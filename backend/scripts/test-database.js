@@ -1,6 +1,33 @@
 const db = require('../models');
+const ProfileController = require('../controllers/profileController');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Run a controller handler against a stub response and return what it sent
+async function callController(handler, req) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await handler({ params: {}, query: {}, body: {}, ...req }, res);
+    return res;
+}
 
 async function testDatabase() {
+    let testProfile1 = null;
+
     try {
         console.log('🧪 Starting database tests...');
         
@@ -11,7 +38,7 @@ async function testDatabase() {
         
         // Test 2: Model creation
         console.log('\n2️⃣ Testing profile creation...');
-        const testProfile1 = await db.Profile.create({
+        testProfile1 = await db.Profile.create({
             name: 'John Doe',
             url: 'https://linkedin.com/in/johndoe',
             bio: 'Software Engineer at Tech Company',
@@ -52,30 +79,131 @@ async function testDatabase() {
         });
         console.log('✅ Profile updated successfully');
         
-        // Test 6: Statistics
-        console.log('\n6️⃣ Testing statistics...');
+        // Test 6: Snapshot history
+        console.log('\n6️⃣ Testing snapshot history...');
+        const { count: snapshotCount } = await db.ProfileSnapshot.getHistory(testProfile1.id);
+        assert(snapshotCount === 2, `expected 2 snapshots after create and update, got ${snapshotCount}`);
+        console.log('✅ Snapshots recorded:', snapshotCount);
+        
+        await testProfile1.update({ extractionErrors: 'Timed out reading skills' });
+        const { count: countAfterOtherUpdate } = await db.ProfileSnapshot.getHistory(testProfile1.id);
+        assert(countAfterOtherUpdate === snapshotCount,
+            `an update without extracted changes recorded a snapshot (${countAfterOtherUpdate})`);
+        console.log('✅ No snapshot for an update without extracted changes');
+        
+        // Test 7: Statistics
+        console.log('\n7️⃣ Testing statistics...');
         const stats = await db.Profile.getStats();
         console.log('✅ Database stats:', stats);
         
-        // Test 7: Custom methods
-        console.log('\n7️⃣ Testing custom methods...');
+        // Test 8: Custom methods
+        console.log('\n8️⃣ Testing custom methods...');
         const fullInfo = testProfile1.getFullInfo();
         console.log('✅ Full profile info:', fullInfo.name);
         
         const isComplete = testProfile1.isDataComplete();
         console.log('✅ Profile complete:', isComplete);
         
-        // Cleanup
-        console.log('\n🧹 Cleaning up test data...');
-        await testProfile1.destroy();
-        console.log('✅ Test profile deleted');
+        // Test 9: Annotations
+        console.log('\n9️⃣ Testing annotations...');
+        await testProfile1.reload();
+        const lastUpdatedBefore = testProfile1.lastUpdated.getTime();
+        const { count: snapshotsBefore } = await db.ProfileSnapshot.getHistory(testProfile1.id);
+        const annotated = await callController(ProfileController.updateProfileAnnotations, {
+            params: { id: String(testProfile1.id) },
+            body: { tags: ['lead'], notes: 'Met at a conference' }
+        });
+        await testProfile1.reload();
+        const { count: snapshotsAfter } = await db.ProfileSnapshot.getHistory(testProfile1.id);
+        assert(annotated.statusCode === 200, `annotations returned ${annotated.statusCode}`);
+        assert(JSON.stringify(testProfile1.tags) === '["lead"]' && testProfile1.notes === 'Met at a conference',
+            'annotations were not saved');
+        assert(testProfile1.lastUpdated.getTime() === lastUpdatedBefore, 'annotations changed lastUpdated');
+        assert(snapshotsAfter === snapshotsBefore, 'annotations recorded a snapshot');
+        console.log('✅ Annotations saved without touching lastUpdated or the history');
+        
+        // Test 10: Duplicate handling (onConflict)
+        console.log('\n🔟 Testing duplicate handling...');
+        const urlVariants = [
+            'https://www.linkedin.com/in/johndoe/',
+            'https://linkedin.com/in/johndoe?trk=public_profile',
+            'https://m.linkedin.com/in/johndoe/?utm_source=share'
+        ];
+        for (const url of urlVariants) {
+            const found = await db.Profile.findByUrl(url);
+            assert(found && found.id === testProfile1.id, `findByUrl did not match ${url}`);
+            
+            const rejected = await callController(ProfileController.createProfile, {
+                query: { onConflict: 'error' },
+                body: { name: 'John Doe', url }
+            });
+            assert(rejected.statusCode === 409, `onConflict=error returned ${rejected.statusCode} for ${url}`);
+        }
+        console.log('✅ URL variants match the stored profile and are rejected as duplicates');
+        
+        await testProfile1.reload();
+        const storedBefore = JSON.stringify(testProfile1.toJSON());
+        const skipped = await callController(ProfileController.createProfile, {
+            query: { onConflict: 'skip' },
+            body: { name: 'Jane Roe', url: urlVariants[2], headline: 'Staff Engineer' }
+        });
+        await testProfile1.reload();
+        assert(skipped.statusCode === 200 && skipped.body.data.action === 'unchanged' &&
+            skipped.body.data.profile.id === testProfile1.id, 'onConflict=skip did not return the stored profile');
+        assert(JSON.stringify(testProfile1.toJSON()) === storedBefore, 'onConflict=skip changed the stored profile');
+        console.log('✅ onConflict=skip returns the stored profile unchanged');
+        
+        const merged = await callController(ProfileController.createProfile, {
+            query: { onConflict: 'update' },
+            body: {
+                name: 'John Doe',
+                url: urlVariants[1],
+                headline: 'Staff Engineer',
+                location: '',
+                followerCount: 0,
+                tags: ['overwritten'],
+                notes: 'Overwritten'
+            }
+        });
+        await testProfile1.reload();
+        assert(merged.statusCode === 200 && merged.body.data.action === 'updated', 'onConflict=update did not update');
+        assert(JSON.stringify(merged.body.data.metadata.changedFields) === '["headline"]',
+            `unexpected changed fields ${JSON.stringify(merged.body.data.metadata.changedFields)}`);
+        assert(testProfile1.headline === 'Staff Engineer' && testProfile1.location === 'San Francisco, CA' &&
+            testProfile1.followerCount === 1600, 'onConflict=update did not merge only the non-empty fields');
+        assert(JSON.stringify(testProfile1.tags) === '["lead"]' && testProfile1.notes === 'Met at a conference',
+            'onConflict=update overwrote fields that are not mergeable');
+        console.log('✅ onConflict=update merges only non-empty mergeable fields');
+        
+        const batch = await callController(ProfileController.createBatchProfiles, {
+            query: { onConflict: 'skip' },
+            body: { profiles: urlVariants.map(url => ({ name: 'John Doe', url })) }
+        });
+        assert(batch.body.data.summary.skipped === urlVariants.length && batch.body.data.summary.created === 0,
+            `batch onConflict=skip gave ${JSON.stringify(batch.body.data.summary)}`);
+        const batchErrors = await callController(ProfileController.createBatchProfiles, {
+            query: { onConflict: 'error' },
+            body: { profiles: urlVariants.map(url => ({ name: 'John Doe', url })) }
+        });
+        assert(batchErrors.statusCode === 400 &&
+            batchErrors.body.data.results.errors.every(error => error.existingId === testProfile1.id),
+            `batch onConflict=error gave ${JSON.stringify(batchErrors.body.data.summary)}`);
+        console.log('✅ Batch requests skip or reject URL variants of a stored profile');
         
         console.log('\n🎉 All database tests passed! Phase 3 is working correctly.');
         
     } catch (error) {
         console.error('❌ Database tests failed:', error.message);
         console.error(error);
+        process.exitCode = 1;
     } finally {
+        // Cleanup
+        if (testProfile1) {
+            console.log('\n🧹 Cleaning up test data...');
+            await testProfile1.destroy();
+            console.log('✅ Test profile deleted');
+        }
+        
         await db.sequelize.close();
         console.log('🔒 Database connection closed');
     }
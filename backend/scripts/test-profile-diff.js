@@ -0,0 +1,103 @@
+// Table-driven checks for the snapshot diff behind GET /api/profiles/:id/diff
+const { diffProfiles } = require('../utils/profileDiff');
+
+const role = (title, company, extra = {}) => ({ title, company, ...extra });
+
+// [description, before, after, check(diff) -> true when the diff is right]
+const CASES = [
+    ['identical profiles have no changes',
+        { name: 'Ann', experience: [role('CTO', 'Acme')], skills: ['Go'] },
+        { name: 'Ann', experience: [role('CTO', 'Acme')], skills: ['Go'] },
+        diff => !diff.summary.hasChanges && diff.summary.changedFields.length === 0],
+
+    ['scalar change with numeric delta',
+        { name: 'Ann', followerCount: 100 },
+        { name: 'Ann', followerCount: 150 },
+        diff => diff.fields.followerCount.from === 100 && diff.fields.followerCount.to === 150 &&
+            diff.fields.followerCount.delta === 50 && !diff.fields.name],
+
+    ['added entry',
+        { experience: [role('CTO', 'Acme')] },
+        { experience: [role('Advisor', 'Beta'), role('CTO', 'Acme')] },
+        diff => diff.experience.added.length === 1 && diff.experience.added[0].company === 'Beta' &&
+            diff.experience.removed.length === 0 && diff.experience.changed.length === 0],
+
+    ['removed entry',
+        { skills: ['Go', 'Rust'] },
+        { skills: ['Go'] },
+        diff => diff.skills.removed.length === 1 && diff.skills.removed[0] === 'Rust' && diff.skills.added.length === 0],
+
+    ['changed details of the same entry',
+        { experience: [role('CTO', 'Acme', { location: 'Paris' })] },
+        { experience: [role('CTO', 'Acme', { location: 'Berlin' })] },
+        diff => diff.experience.changed.length === 1 &&
+            JSON.stringify(diff.experience.changed[0].fields) === JSON.stringify([{ field: 'location', from: 'Paris', to: 'Berlin' }])],
+
+    ['new title at the same company is a change, not add + remove',
+        { experience: [role('Engineer', 'Acme')] },
+        { experience: [role('Lead Engineer', 'Acme')] },
+        diff => diff.experience.changed.length === 1 && diff.experience.added.length === 0 &&
+            diff.experience.removed.length === 0 && diff.currentPosition.changedTitle && !diff.currentPosition.changedCompany],
+
+    ['the same role held twice is kept on both sides',
+        { experience: [role('Engineer', 'Acme', { startDate: '2015' }), role('Engineer', 'Acme', { startDate: '2010' })] },
+        { experience: [role('Engineer', 'Acme', { startDate: '2015' }), role('Engineer', 'Acme', { startDate: '2010' })] },
+        diff => !diff.summary.hasChanges],
+
+    ['a second stint of a repeated role is reported as added',
+        { experience: [role('Engineer', 'Acme', { startDate: '2010' })] },
+        { experience: [role('Engineer', 'Acme', { startDate: '2015' }), role('Engineer', 'Acme', { startDate: '2010' })] },
+        diff => diff.experience.added.length === 1 && diff.experience.removed.length === 0],
+
+    ['dropping one of two duplicate entries is reported as removed',
+        { education: [{ school: 'MIT', degree: 'BSc' }, { school: 'MIT', degree: 'BSc' }] },
+        { education: [{ school: 'MIT', degree: 'BSc' }] },
+        diff => diff.education.removed.length === 1 && diff.education.added.length === 0],
+
+    ['duplicate strings are counted',
+        { skills: ['Go', 'Go'] },
+        { skills: ['Go'] },
+        diff => diff.skills.removed.length === 1 && diff.skills.removed[0] === 'Go'],
+
+    ['missing arrays count as empty',
+        { name: 'Ann' },
+        { name: 'Ann', languages: [{ name: 'French' }] },
+        diff => diff.languages.added.length === 1 && diff.summary.changedFields.includes('languages')]
+];
+
+function testProfileDiff() {
+    console.log('🧪 Starting profile diff tests...\n');
+
+    const failures = CASES.filter(([description, before, after, check]) => {
+        let passed = false;
+        let diff = null;
+
+        try {
+            diff = diffProfiles(before, after);
+            passed = check(diff) === true;
+        } catch (error) {
+            console.log(`   threw ${error.message}`);
+        }
+
+        console.log(`${passed ? '✅' : '❌'} ${description}`);
+        if (!passed && diff) {
+            console.log(`   got ${JSON.stringify(diff)}`);
+        }
+
+        return !passed;
+    });
+
+    if (failures.length > 0) {
+        console.error(`\n❌ ${failures.length} of ${CASES.length} profile diff cases failed`);
+        process.exitCode = 1;
+    } else {
+        console.log(`\n🎉 All ${CASES.length} profile diff cases passed!`);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testProfileDiff();
+}
+
+module.exports = testProfileDiff;
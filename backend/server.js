@@ -5,6 +5,10 @@ require('dotenv').config();
 
 // Import database models
 const { sequelize, Profile, initializeDatabase } = require('./models');
+const ProfileController = require('./controllers/profileController');
+const ExtractionRulesController = require('./controllers/extractionRulesController');
+const ExtractionFailureController = require('./controllers/extractionFailureController');
+const { requireAdmin } = require('./middleware/adminAuth');
 
 // Initialize Express app
 const app = express();
@@ -17,7 +21,7 @@ const PORT = process.env.PORT || 3000;
 // CORS setup for Chrome Extension compatibility
 app.use(cors({
     origin: '*', // Allow all origins for development
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
     credentials: true
 }));
@@ -52,21 +56,38 @@ app.get('/api', (req, res) => {
         description: 'Complete backend API with SQLite database, Sequelize ORM, and full CRUD operations',
         database: {
             dialect: 'sqlite',
-            models: ['Profile'],
+            models: ['Profile', 'ProfileSnapshot', 'ExtractionRules', 'ExtractionFailure'],
             status: 'Connected'
         },
         endpoints: {
             info: 'GET /api - API information',
             health: 'GET /api/health - Server health check',
             profiles: {
-                create: 'POST /api/profiles - Create profile (main Chrome extension endpoint)',
+                create: 'POST /api/profiles?onConflict=error|skip|update - Create or upsert profile (main Chrome extension endpoint)',
                 getAll: 'GET /api/profiles - Get all profiles',
                 getOne: 'GET /api/profiles/:id - Get single profile',
+                byUrl: 'GET /api/profiles/by-url/:encodedUrl - Find profile by LinkedIn URL',
+                history: 'GET /api/profiles/:id/history - Get extraction history',
+                snapshot: 'GET /api/profiles/:id/history/:snapshotId - Get single snapshot',
+                diff: 'GET /api/profiles/:id/diff?from=&to= - Diff two snapshots',
                 update: 'PUT /api/profiles/:id - Update profile',
+                annotations: 'PATCH /api/profiles/:id/annotations - Set tags and notes',
                 delete: 'DELETE /api/profiles/:id - Delete profile',
                 stats: 'GET /api/profiles/stats - Profile statistics',
+                stale: 'GET /api/profiles/stale?days=&status=&limit= - Profiles due for a re-scrape',
                 search: 'GET /api/profiles/search/:query - Search profiles',
-                batch: 'POST /api/profiles/batch - Create multiple profiles'
+                batch: 'POST /api/profiles/batch?onConflict=skip|update|error - Create or upsert multiple profiles'
+            },
+            extractionRules: {
+                get: 'GET /api/extraction-rules?version= - Latest (or given) selector rules for the extension',
+                versions: 'GET /api/extraction-rules/versions - Published rules versions',
+                publish: 'POST /api/admin/extraction-rules - Publish a new rules version (admin)'
+            },
+            extractionFailures: {
+                create: 'POST /api/extraction-failures - Store a diagnostics bundle from a failed extraction',
+                list: 'GET /api/extraction-failures?url=&since= - Stored bundles, newest first',
+                getOne: 'GET /api/extraction-failures/:id - Full bundle',
+                download: 'GET /api/extraction-failures/:id/download - Full bundle as a JSON file'
             },
             database: {
                 health: 'GET /api/database/health - Database connection status',
@@ -125,9 +146,19 @@ app.get('/api/health', (req, res) => {
 app.post('/api/profiles', async (req, res) => {
     try {
         const profileData = req.body;
+        const { onConflict = 'error' } = req.query;
 
         console.log('🔄 Creating new profile:', profileData.name || 'Unknown');
 
+        if (!Profile.ON_CONFLICT_MODES.includes(onConflict)) {
+            return res.status(400).json({
+                success: false,
+                message: `onConflict must be one of: ${Profile.ON_CONFLICT_MODES.join(', ')}`,
+                received: onConflict,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         // Validate required fields
         if (!profileData.name || !profileData.url) {
             return res.status(400).json({
@@ -150,7 +181,43 @@ app.post('/api/profiles', async (req, res) => {
         }
 
         // Check if profile with this URL already exists
-        const existingProfile = await Profile.findOne({ where: { url: profileData.url } });
+        const existingProfile = await Profile.findByUrl(profileData.url);
+        if (existingProfile && onConflict !== 'error') {
+            // Upsert: refresh the stored row with any non-empty fields from this scrape
+            const changedFields = onConflict === 'update' ? existingProfile.mergeExtractedData(profileData) : [];
+            if (onConflict === 'update') {
+                await existingProfile.save();
+            }
+
+            const action = changedFields.length > 0 ? 'updated' : 'unchanged';
+            console.log(`✅ Existing profile ${action}:`, existingProfile.id);
+
+            return res.status(200).json({
+                success: true,
+                message: action === 'updated' ? 'Profile updated successfully ✅' : 'Profile already up to date',
+                data: {
+                    action,
+                    profile: {
+                        id: existingProfile.id,
+                        name: existingProfile.name,
+                        url: existingProfile.url,
+                        bioLine: existingProfile.bioLine,
+                        location: existingProfile.location,
+                        followerCount: existingProfile.followerCount,
+                        connectionCount: existingProfile.connectionCount,
+                        connectionCountIsLowerBound: existingProfile.connectionCountIsLowerBound,
+                        extractionStatus: existingProfile.extractionStatus,
+                        createdAt: existingProfile.createdAt
+                    },
+                    metadata: {
+                        changedFields,
+                        onConflict
+                    }
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+
         if (existingProfile) {
             return res.status(409).json({
                 success: false,
@@ -161,7 +228,7 @@ app.post('/api/profiles', async (req, res) => {
                     url: existingProfile.url,
                     createdAt: existingProfile.createdAt
                 },
-                suggestion: `Use PUT /api/profiles/${existingProfile.id} to update existing profile`,
+                suggestion: `Use PUT /api/profiles/${existingProfile.id} or ?onConflict=update to update existing profile`,
                 timestamp: new Date().toISOString()
             });
         }
@@ -175,6 +242,7 @@ app.post('/api/profiles', async (req, res) => {
             location: profileData.location || null,
             followerCount: profileData.followerCount || 0,
             connectionCount: profileData.connectionCount || 0,
+            connectionCountIsLowerBound: profileData.connectionCountIsLowerBound === true,
             bioLine: profileData.bioLine || null,
             headline: profileData.headline || null,
             industry: profileData.industry || null,
@@ -182,6 +250,12 @@ app.post('/api/profiles', async (req, res) => {
             experience: profileData.experience || [],
             education: profileData.education || [],
             skills: profileData.skills || [],
+            certifications: profileData.certifications || [],
+            languages: profileData.languages || [],
+            projects: profileData.projects || [],
+            volunteering: profileData.volunteering || [],
+            honors: profileData.honors || [],
+            extractionMeta: profileData.extractionMeta || null,
             extractionStatus: profileData.extractionStatus || 'success',
             extractedAt: new Date(),
             lastUpdated: new Date()
@@ -193,6 +267,7 @@ app.post('/api/profiles', async (req, res) => {
             success: true,
             message: 'Profile created successfully ✅',
             data: {
+                action: 'created',
                 profile: {
                     id: newProfile.id,
                     name: newProfile.name,
@@ -201,6 +276,7 @@ app.post('/api/profiles', async (req, res) => {
                     location: newProfile.location,
                     followerCount: newProfile.followerCount,
                     connectionCount: newProfile.connectionCount,
+                    connectionCountIsLowerBound: newProfile.connectionCountIsLowerBound,
                     extractionStatus: newProfile.extractionStatus,
                     createdAt: newProfile.createdAt
                 },
@@ -248,9 +324,23 @@ app.get('/api/profiles', async (req, res) => {
             sortOrder = 'DESC',
             status,
             location,
-            search 
+            search,
+            minFollowers,
+            maxFollowers
         } = req.query;
 
+        // Follower bounds are whole numbers; anything else would reach the query as NaN
+        for (const [param, value] of Object.entries({ minFollowers, maxFollowers })) {
+            if (value !== undefined && value !== '' && !/^\d+$/.test(value)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${param} must be a non-negative integer`,
+                    received: value,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
         // Build where conditions
         const whereConditions = {};
         
@@ -270,9 +360,25 @@ app.get('/api/profiles', async (req, res) => {
             whereConditions[Op.or] = [
                 { name: { [Op.like]: `%${search}%` } },
                 { bioLine: { [Op.like]: `%${search}%` } },
-                { headline: { [Op.like]: `%${search}%` } }
+                { headline: { [Op.like]: `%${search}%` } },
+                Profile.whereJsonEntryLike('certifications', 'name', search),
+                Profile.whereJsonEntryLike('languages', 'name', search)
             ];
         }
+        
+        if (minFollowers || maxFollowers) {
+            const { Op } = require('sequelize');
+            whereConditions.followerCount = {};
+            if (minFollowers) whereConditions.followerCount[Op.gte] = parseInt(minFollowers);
+            if (maxFollowers) whereConditions.followerCount[Op.lte] = parseInt(maxFollowers);
+        }
+        
+        // ?school=, ?certification=, ?language=... match entries of the JSON sections
+        const sectionConditions = Profile.sectionFilterConditions(req.query);
+        if (sectionConditions.length > 0) {
+            const { Op } = require('sequelize');
+            whereConditions[Op.and] = sectionConditions;
+        }
 
         // Calculate pagination
         const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -284,12 +390,16 @@ app.get('/api/profiles', async (req, res) => {
             limit: parseInt(limit),
             offset: offset,
             attributes: {
-                exclude: ['extractionErrors'] // Don't return errors in list view
+                exclude: ['extractionErrors', 'extractionMeta'] // Don't return errors or provenance in list view
             }
         });
 
         // Calculate pagination info
         const totalPages = Math.ceil(count / parseInt(limit));
+        const sectionFilters = {};
+        Object.keys(Profile.SECTION_FILTERS).forEach(param => {
+            sectionFilters[param] = req.query[param];
+        });
 
         res.json({
             success: true,
@@ -304,7 +414,7 @@ app.get('/api/profiles', async (req, res) => {
                     hasNextPage: parseInt(page) < totalPages,
                     hasPrevPage: parseInt(page) > 1
                 },
-                filters: { status, location, search, sortBy, sortOrder }
+                filters: { status, location, search, minFollowers, maxFollowers, ...sectionFilters, sortBy, sortOrder }
             },
             timestamp: new Date().toISOString()
         });
@@ -378,6 +488,12 @@ app.get('/api/profiles/stats', async (req, res) => {
     }
 });
 
+// GET /api/profiles/stale - Prioritized list of profiles due for a re-scrape
+app.get('/api/profiles/stale', ProfileController.getStaleProfiles);
+
+// GET /api/profiles/by-url/:encodedUrl - Find profile by any variant of its LinkedIn URL
+app.get('/api/profiles/by-url/:encodedUrl', ProfileController.getProfileByUrl);
+
 // GET /api/profiles/:id - Get single profile by ID
 app.get('/api/profiles/:id', async (req, res) => {
     try {
@@ -402,7 +518,9 @@ app.get('/api/profiles/:id', async (req, res) => {
                     isComplete: profile.isDataComplete(),
                     fieldsCount: Object.keys(profile.dataValues).length,
                     lastUpdated: profile.lastUpdated,
-                    extractionStatus: profile.extractionStatus
+                    extractionStatus: profile.extractionStatus,
+                    averageConfidence: profile.extractionMeta ? profile.extractionMeta.averageConfidence : null,
+                    lowConfidenceFields: profile.extractionMeta ? profile.extractionMeta.lowConfidenceFields : []
                 }
             },
             timestamp: new Date().toISOString()
@@ -419,6 +537,18 @@ app.get('/api/profiles/:id', async (req, res) => {
     }
 });
 
+// GET /api/profiles/:id/history - Get extraction history for a profile
+app.get('/api/profiles/:id/history', ProfileController.getProfileHistory);
+
+// GET /api/profiles/:id/history/:snapshotId - Get a single snapshot of a profile
+app.get('/api/profiles/:id/history/:snapshotId', ProfileController.getProfileSnapshot);
+
+// GET /api/profiles/:id/diff?from=&to= - Field-level diff between two snapshots
+app.get('/api/profiles/:id/diff', ProfileController.getProfileDiff);
+
+// PATCH /api/profiles/:id/annotations - Set the user's tags and notes
+app.patch('/api/profiles/:id/annotations', ProfileController.updateProfileAnnotations);
+
 // PUT /api/profiles/:id - Update existing profile
 app.put('/api/profiles/:id', async (req, res) => {
     try {
@@ -456,6 +586,21 @@ app.put('/api/profiles/:id', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error updating profile:', error);
+        
+        // Handle validation errors
+        if (error.name === 'SequelizeValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: error.errors.map(e => ({
+                    field: e.path,
+                    message: e.message,
+                    value: e.value
+                })),
+                timestamp: new Date().toISOString()
+            });
+        }
+        
         res.status(500).json({
             success: false,
             message: 'Failed to update profile',
@@ -551,6 +696,16 @@ app.get('/api/profiles/search/:query', async (req, res) => {
 app.post('/api/profiles/batch', async (req, res) => {
     try {
         const { profiles } = req.body;
+        const { onConflict = 'skip' } = req.query;
+
+        if (!Profile.ON_CONFLICT_MODES.includes(onConflict)) {
+            return res.status(400).json({
+                success: false,
+                message: `onConflict must be one of: ${Profile.ON_CONFLICT_MODES.join(', ')}`,
+                received: onConflict,
+                timestamp: new Date().toISOString()
+            });
+        }
 
         if (!profiles || !Array.isArray(profiles)) {
             return res.status(400).json({
@@ -571,6 +726,8 @@ app.post('/api/profiles/batch', async (req, res) => {
 
         const results = {
             created: [],
+            updated: [],
+            unchanged: [],
             skipped: [],
             errors: []
         };
@@ -590,7 +747,30 @@ app.post('/api/profiles/batch', async (req, res) => {
                 }
 
                 // Check if profile already exists
-                const existingProfile = await Profile.findOne({ where: { url: profileData.url } });
+                const existingProfile = await Profile.findByUrl(profileData.url);
+                if (existingProfile && onConflict === 'update') {
+                    const changedFields = existingProfile.mergeExtractedData(profileData);
+                    await existingProfile.save();
+
+                    results[changedFields.length > 0 ? 'updated' : 'unchanged'].push({
+                        index: i,
+                        id: existingProfile.id,
+                        name: existingProfile.name,
+                        url: existingProfile.url,
+                        changedFields
+                    });
+                    continue;
+                }
+
+                if (existingProfile && onConflict === 'error') {
+                    results.errors.push({
+                        index: i,
+                        error: 'Profile already exists',
+                        existingId: existingProfile.id
+                    });
+                    continue;
+                }
+
                 if (existingProfile) {
                     results.skipped.push({
                         index: i,
@@ -605,6 +785,7 @@ app.post('/api/profiles/batch', async (req, res) => {
                     ...profileData,
                     followerCount: profileData.followerCount || 0,
                     connectionCount: profileData.connectionCount || 0,
+                    connectionCountIsLowerBound: profileData.connectionCountIsLowerBound === true,
                     extractionStatus: 'success',
                     extractedAt: new Date(),
                     lastUpdated: new Date()
@@ -625,19 +806,23 @@ app.post('/api/profiles/batch', async (req, res) => {
             }
         }
 
-        const statusCode = results.created.length > 0 ? 201 : 400;
+        const savedCount = results.created.length + results.updated.length + results.unchanged.length;
+        const statusCode = results.created.length > 0 ? 201 : savedCount > 0 ? 200 : 400;
 
         res.status(statusCode).json({
-            success: results.created.length > 0,
-            message: `Batch operation completed: ${results.created.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors`,
+            success: savedCount > 0,
+            message: `Batch operation completed: ${results.created.length} created, ${results.updated.length} updated, ${results.unchanged.length} unchanged, ${results.skipped.length} skipped, ${results.errors.length} errors`,
             data: {
                 summary: {
                     total: profiles.length,
                     created: results.created.length,
+                    updated: results.updated.length,
+                    unchanged: results.unchanged.length,
                     skipped: results.skipped.length,
                     errors: results.errors.length,
-                    successRate: `${Math.round((results.created.length / profiles.length) * 100)}%`
+                    successRate: `${Math.round((savedCount / profiles.length) * 100)}%`
                 },
+                onConflict,
                 results
             },
             timestamp: new Date().toISOString()
@@ -654,6 +839,35 @@ app.post('/api/profiles/batch', async (req, res) => {
     }
 });
 
+// ====================
+// EXTRACTION RULES ROUTES
+// ====================
+
+// GET /api/extraction-rules - Latest selector/extraction rules (or ?version=N)
+app.get('/api/extraction-rules', ExtractionRulesController.getExtractionRules);
+
+// GET /api/extraction-rules/versions - List published rules versions
+app.get('/api/extraction-rules/versions', ExtractionRulesController.getExtractionRulesVersions);
+
+// POST /api/admin/extraction-rules - Publish a new rules version
+app.post('/api/admin/extraction-rules', requireAdmin, ExtractionRulesController.publishExtractionRules);
+
+// ====================
+// EXTRACTION FAILURE ROUTES
+// ====================
+
+// POST /api/extraction-failures - Diagnostics bundle from a failed extraction
+app.post('/api/extraction-failures', ExtractionFailureController.createExtractionFailure);
+
+// GET /api/extraction-failures - List diagnostics bundles
+app.get('/api/extraction-failures', ExtractionFailureController.getExtractionFailures);
+
+// GET /api/extraction-failures/:id - Single diagnostics bundle
+app.get('/api/extraction-failures/:id', ExtractionFailureController.getExtractionFailure);
+
+// GET /api/extraction-failures/:id/download - Diagnostics bundle as a file
+app.get('/api/extraction-failures/:id/download', ExtractionFailureController.downloadExtractionFailure);
+
 // ====================
 // DATABASE ROUTES
 // ====================
@@ -828,7 +1042,11 @@ app.use('*', (req, res) => {
             profiles: [
                 'POST /api/profiles (main Chrome extension endpoint)',
                 'GET /api/profiles',
+                'GET /api/profiles/by-url/:encodedUrl',
                 'GET /api/profiles/:id',
+                'GET /api/profiles/:id/history',
+                'GET /api/profiles/:id/history/:snapshotId',
+                'GET /api/profiles/:id/diff',
                 'PUT /api/profiles/:id',
                 'DELETE /api/profiles/:id',
                 'GET /api/profiles/stats',
@@ -0,0 +1,9 @@
+// Extraction rules schema shared with the extension: the bundled rules and
+// validator live next to the extractor in chrome-extension/shared/profileExtractor.js,
+// copied into backend/shared (npm run shared:sync)
+const { DEFAULT_RULES, validateRules } = require('../shared/profileExtractor');
+
+module.exports = {
+  DEFAULT_RULES,
+  validateRules
+};
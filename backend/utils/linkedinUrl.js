@@ -0,0 +1,4 @@
+// Canonical LinkedIn profile URLs - the extension's copy is the single source of truth
+// so that the popup queue and the database always agree on profile identity.
+// backend/shared holds a copy of it (npm run shared:sync).
+module.exports = require('../shared/linkedinUrl');
@@ -0,0 +1,198 @@
+// Field-level diff between two profile snapshots
+
+// Scalar fields compared value by value
+const SCALAR_FIELDS = [
+  'name',
+  'headline',
+  'bioLine',
+  'location',
+  'about',
+  'industry',
+  'profilePicture',
+  'followerCount',
+  'connectionCount',
+  'connectionCountIsLowerBound',
+  'extractionStatus'
+];
+
+const NUMERIC_FIELDS = ['followerCount', 'connectionCount'];
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+
+// How entries of each JSON array are identified across snapshots
+const ARRAY_FIELDS = {
+  experience: {
+    key: (entry) => `${normalizeText(entry.company)}|${normalizeText(entry.title)}`,
+    group: (entry) => normalizeText(entry.company)
+  },
+  education: {
+    key: (entry) => `${normalizeText(entry.school)}|${normalizeText(entry.degree)}`,
+    group: (entry) => normalizeText(entry.school)
+  },
+  skills: {
+    key: (entry) => normalizeText(typeof entry === 'string' ? entry : entry.name),
+    group: null
+  },
+  certifications: {
+    key: (entry) => `${normalizeText(entry.name)}|${normalizeText(entry.issuer)}`,
+    group: (entry) => normalizeText(entry.name)
+  },
+  languages: {
+    key: (entry) => normalizeText(entry.name),
+    group: null
+  },
+  projects: {
+    key: (entry) => normalizeText(entry.title),
+    group: null
+  },
+  volunteering: {
+    key: (entry) => `${normalizeText(entry.organization)}|${normalizeText(entry.role)}`,
+    group: (entry) => normalizeText(entry.organization)
+  },
+  honors: {
+    key: (entry) => `${normalizeText(entry.title)}|${normalizeText(entry.issuer)}`,
+    group: null
+  }
+};
+
+const isEqualValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const toArray = (value) => (Array.isArray(value) ? value : []);
+
+// Compare two plain objects and list the keys whose values differ
+const diffObjectFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  // Position in the list is not a meaningful change on its own
+  keys.delete('order');
+
+  return Array.from(keys)
+    .filter(key => !isEqualValue(before[key], after[key]))
+    .map(key => ({ field: key, from: before[key], to: after[key] }));
+};
+
+const diffScalars = (before, after) => {
+  const changes = {};
+
+  SCALAR_FIELDS.forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+
+    if (isEqualValue(from, to)) return;
+
+    changes[field] = { from, to };
+
+    if (NUMERIC_FIELDS.includes(field)) {
+      changes[field].delta = (to || 0) - (from || 0);
+    }
+  });
+
+  return changes;
+};
+
+const diffArray = (field, beforeList, afterList) => {
+  const { key, group } = ARRAY_FIELDS[field];
+  const before = toArray(beforeList);
+  const after = toArray(afterList);
+
+  // Entries can share a key (the same role held twice), so each key holds a queue
+  // and every newer entry is paired with the first unpaired older one
+  const beforeByKey = new Map();
+  before.forEach((entry, index) => {
+    const entryKey = key(entry);
+    if (!beforeByKey.has(entryKey)) beforeByKey.set(entryKey, []);
+    beforeByKey.get(entryKey).push(index);
+  });
+  const paired = new Set();
+
+  let added = [];
+  const changed = [];
+
+  after.forEach(entry => {
+    const candidates = beforeByKey.get(key(entry));
+    if (!candidates || candidates.length === 0) {
+      added.push(entry);
+      return;
+    }
+
+    const index = candidates.shift();
+    const previous = before[index];
+    paired.add(index);
+
+    // Same identity on both sides but different details (dates, location...)
+    if (typeof entry === 'object' && !isEqualValue(previous, entry)) {
+      const fields = diffObjectFields(previous, entry);
+      if (fields.length > 0) {
+        changed.push({ from: previous, to: entry, fields });
+      }
+    }
+  });
+
+  let removed = before.filter((entry, index) => !paired.has(index));
+
+  // Pair leftovers that share a group (e.g. new title at the same company)
+  if (group) {
+    const stillRemoved = [...removed];
+    added = added.filter(entry => {
+      const index = stillRemoved.findIndex(previous => group(previous) && group(previous) === group(entry));
+      if (index === -1) return true;
+
+      const [previous] = stillRemoved.splice(index, 1);
+      changed.push({ from: previous, to: entry, fields: diffObjectFields(previous, entry) });
+      return false;
+    });
+    removed = stillRemoved;
+  }
+
+  return { added, removed, changed };
+};
+
+// The first experience entry is the current position
+const diffCurrentPosition = (before, after) => {
+  const from = toArray(before.experience)[0] || null;
+  const to = toArray(after.experience)[0] || null;
+
+  const companyChanged = normalizeText(from && from.company) !== normalizeText(to && to.company);
+  const titleChanged = normalizeText(from && from.title) !== normalizeText(to && to.title);
+
+  return {
+    from,
+    to,
+    changedCompany: companyChanged,
+    changedTitle: titleChanged,
+    changedJob: companyChanged || titleChanged
+  };
+};
+
+/**
+ * Build a structured diff between two snapshots (or any objects with profile fields).
+ * `before` is the older state and `after` the newer one.
+ */
+const diffProfiles = (before, after) => {
+  const fields = diffScalars(before, after);
+  const arrays = {};
+
+  Object.keys(ARRAY_FIELDS).forEach(field => {
+    arrays[field] = diffArray(field, before[field], after[field]);
+  });
+
+  const changedArrays = Object.keys(arrays).filter(field => {
+    const { added, removed, changed } = arrays[field];
+    return added.length > 0 || removed.length > 0 || changed.length > 0;
+  });
+
+  return {
+    fields,
+    ...arrays,
+    currentPosition: diffCurrentPosition(before, after),
+    summary: {
+      changedFields: [...Object.keys(fields), ...changedArrays],
+      hasChanges: Object.keys(fields).length > 0 || changedArrays.length > 0
+    }
+  };
+};
+
+module.exports = {
+  SCALAR_FIELDS,
+  ARRAY_FIELDS,
+  diffProfiles
+};
@@ -1,27 +1,57 @@
 // background.js - Service Worker for LinkedIn Profile Scraper Extension
 console.log('🔗 LinkedIn Profile Scraper background service worker starting...');
 
+importScripts('shared/linkedinUrl.js', 'shared/profileExtractor.js');
+
 // Configuration
 const CONFIG = {
     API_BASE_URL: 'http://localhost:3000/api',
     LINKEDIN_DOMAINS: ['linkedin.com', 'www.linkedin.com'],
-    TAB_TIMEOUT: 45000, // Increased to 45 seconds
-    PROCESSING_DELAY: 3000, // Increased to 3 seconds between profiles
-    MAX_CONCURRENT_TABS: 1, // Reduced to 1 for stability
-    MAX_RETRIES: 2
+    TAB_TIMEOUT: 45000, // Per-tab budget for loading, extracting and following the details pages of a profile
+    PROCESSING_DELAY: 3000, // Minimum gap between profile page loads across all tabs
+    MAX_CONCURRENT_TABS: 3, // Default worker pool size (overridden by settings.maxConcurrentTabs)
+    MAX_CONCURRENT_TABS_LIMIT: 5, // Upper bound regardless of settings
+    MAX_RETRIES: 2,
+    REFRESH_ALARM: 'staleProfileRefresh',
+    OUTBOX_ALARM: 'outboxFlush',
+    OUTBOX_RETRY_BASE: 30000, // First retry of queued saves; doubles per failed attempt
+    OUTBOX_RETRY_MAX: 30 * 60 * 1000,
+    OUTBOX_BATCH_SIZE: 50, // Backend limit for POST /api/profiles/batch
+    RULES_MAX_AGE: 60 * 60 * 1000, // Re-fetch extraction rules from the backend after this long
+    DETAILS_PAGE_TIMEOUT: 15000, // Budget per /details/<section>/ page followed after the profile page
+    DETAILS_PREPARATION_BUDGET: 8000, // Part of that budget spent scrolling and expanding the details page
+    DIAGNOSTICS_TIMEOUT: 5000, // Budget for inspecting a failed tab before it is closed
+    LOOKUP_CONCURRENCY: 5, // Parallel GET /api/profiles/by-url requests when checking harvested links
+    CURRENT_PROFILE_TIMEOUT: 15000 // Budget for reading the profile open in the active tab
+};
+
+// Defaults for settings.autoRefresh (scheduled re-scrape of stale profiles)
+const DEFAULT_REFRESH_SETTINGS = {
+    enabled: true,
+    intervalMinutes: 60, // How often to check the backend for stale profiles
+    windowStart: '01:00', // Local time window in which refresh batches may run
+    windowEnd: '06:00',
+    maxAgeDays: 7, // Profiles not refreshed for this long are stale
+    retryAfterHours: 24, // Partial/failed profiles are retried after this long
+    batchSize: 20 // Profiles per scheduled batch
 };
 
 // State management
+// The batch itself is mirrored to chrome.storage.local (see BATCH PERSISTENCE) so it
+// survives the service worker being suspended; only runtime handles live here alone.
 let extensionState = {
     isProcessing: false,
-    currentBatch: [],
-    processedCount: 0,
-    successCount: 0,
-    errorCount: 0,
+    batch: null,
+    batchRun: null, // Promise of the processing loop while it is running
     activeTabs: new Set(),
-    processingStartTime: null
+    nextRequestAt: 0, // Earliest time the next profile page may be opened
+    outboxFlush: null // Promise of the outbox flush while it is running
 };
 
+const BATCH_STORAGE_KEY = 'batchState';
+const OUTBOX_STORAGE_KEY = 'outbox';
+const RULES_STORAGE_KEY = 'extractionRules';
+
 // ====================
 // EXTENSION LIFECYCLE
 // ====================
@@ -29,6 +59,9 @@ let extensionState = {
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('🚀 LinkedIn Profile Scraper installed/updated');
     
+    // Menu items persist across worker restarts; (re)create them on install and update
+    createContextMenus();
+    
     if (details.reason === 'install') {
         console.log('✨ Welcome to LinkedIn Profile Scraper!');
         
@@ -38,7 +71,8 @@ chrome.runtime.onInstalled.addListener((details) => {
                 processingDelay: CONFIG.PROCESSING_DELAY,
                 maxConcurrentTabs: CONFIG.MAX_CONCURRENT_TABS,
                 autoCloseSuccessfulTabs: true,
-                showNotifications: true
+                showNotifications: true,
+                autoRefresh: { ...DEFAULT_REFRESH_SETTINGS }
             },
             statistics: {
                 totalProcessed: 0,
@@ -51,15 +85,19 @@ chrome.runtime.onInstalled.addListener((details) => {
 });
 
 chrome.runtime.onStartup.addListener(() => {
+    // Any interrupted batch is picked up by restorePersistedBatch() when the worker loads
     console.log('🔄 LinkedIn Profile Scraper service worker restarted');
-    resetState();
 });
 
 // ====================
 // MESSAGE HANDLING
 // ====================
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => handleMessage(message, sendResponse, sender));
+
+// Also the entry point for the context menu and keyboard commands, so every
+// action goes through the same handlers and URL validation
+function handleMessage(message, sendResponse, sender = null) {
     console.log('📨 Background received message:', message.action);
     
     switch (message.action) {
@@ -71,6 +109,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleStopBatchProcessing(sendResponse);
             return true;
             
+        case 'pauseBatchProcessing':
+            handlePauseBatchProcessing(sendResponse);
+            return true;
+            
+        case 'resumeBatchProcessing':
+            handleResumeBatchProcessing(sendResponse);
+            return true;
+            
         case 'getProcessingStatus':
             handleGetProcessingStatus(sendResponse);
             return true;
@@ -87,18 +133,263 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleResetStatistics(sendResponse);
             return true;
             
+        case 'getOutboxStatus':
+            handleGetOutboxStatus(sendResponse);
+            return true;
+            
+        case 'flushOutbox':
+            handleFlushOutbox(sendResponse);
+            return true;
+            
+        case 'harvestProfileLinks':
+            handleHarvestProfileLinks(message.data, sendResponse);
+            return true;
+            
+        case 'lookupStoredProfiles':
+            handleLookupStoredProfiles(message.data, sendResponse);
+            return true;
+            
+        case 'queueProfileUrl':
+            handleQueueProfileUrl(message.data, sendResponse);
+            return true;
+            
+        case 'scrapeProfileNow':
+            handleScrapeProfileNow(message.data, sendResponse);
+            return true;
+            
+        case 'openSavedProfile':
+            handleOpenSavedProfile(message.data, sendResponse);
+            return true;
+            
+        case 'isManagedTab':
+            handleIsManagedTab(sender, sendResponse);
+            return true;
+            
+        case 'saveCurrentProfile':
+            // The in-page overlay saves the tab it runs in
+            handleSaveCurrentProfile({ tabId: sender && sender.tab ? sender.tab.id : null, ...message.data }, sendResponse);
+            return true;
+            
+        case 'getStoredProfile':
+            handleGetStoredProfile(message.data, sendResponse);
+            return true;
+            
+        case 'updateProfileAnnotations':
+            handleUpdateProfileAnnotations(message.data, sendResponse);
+            return true;
+            
+        case 'listStoredProfiles':
+            handleListStoredProfiles(message.data, sendResponse);
+            return true;
+            
         default:
             console.warn('⚠️ Unknown message action:', message.action);
             sendResponse({ success: false, error: 'Unknown action' });
     }
+}
+
+function dispatchMessage(message) {
+    return new Promise(resolve => handleMessage(message, resolve));
+}
+
+// ====================
+// CONTEXT MENU & KEYBOARD COMMANDS
+// ====================
+
+// Menu item ids double as the command names in manifest.json
+const PROFILE_ACTIONS = {
+    'add-to-queue': {
+        title: 'Add to scrape queue',
+        message: 'queueProfileUrl',
+        describe: (data) => data.added ? `Added to the scrape queue (${data.queueLength} profiles)` : 'Already in the scrape queue'
+    },
+    'scrape-now': {
+        title: 'Scrape now',
+        message: 'scrapeProfileNow',
+        describe: (data) => data.action === 'queued' ? 'A batch is running - added to the scrape queue instead' : 'Scraping profile...'
+    },
+    'open-saved-record': {
+        title: 'Open saved record',
+        message: 'openSavedProfile',
+        describe: null // The opened tab is the feedback
+    }
+};
+
+const PROFILE_URL_PATTERNS = ['https://*.linkedin.com/in/*'];
+
+// Page items act on the open profile; their ids carry this prefix
+const PAGE_MENU_PREFIX = 'page:';
+
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        Object.keys(PROFILE_ACTIONS).forEach(id => {
+            // Profile links anywhere on LinkedIn (targetUrlPatterns only filters links)
+            chrome.contextMenus.create({
+                id,
+                title: PROFILE_ACTIONS[id].title,
+                contexts: ['link'],
+                documentUrlPatterns: ['https://*.linkedin.com/*'],
+                targetUrlPatterns: PROFILE_URL_PATTERNS
+            });
+            
+            // The page itself, only while a profile is open
+            chrome.contextMenus.create({
+                id: PAGE_MENU_PREFIX + id,
+                title: `${PROFILE_ACTIONS[id].title} (this profile)`,
+                contexts: ['page'],
+                documentUrlPatterns: PROFILE_URL_PATTERNS
+            });
+        });
+    });
+}
+
+chrome.contextMenus.onClicked.addListener((info) => {
+    const id = String(info.menuItemId);
+    
+    if (id.startsWith(PAGE_MENU_PREFIX)) {
+        runProfileAction(id.slice(PAGE_MENU_PREFIX.length), info.pageUrl);
+    } else {
+        runProfileAction(id, info.linkUrl);
+    }
 });
 
+// Shortcuts act on the profile open in the active tab
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    const activeTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    runProfileAction(command, activeTab ? activeTab.url : null);
+});
+
+async function runProfileAction(id, url) {
+    const profileAction = PROFILE_ACTIONS[id];
+    if (!profileAction) return;
+    
+    console.log(`🖱️ ${profileAction.title}:`, url);
+    const response = await dispatchMessage({ action: profileAction.message, data: { url } });
+    
+    if (!response.success) {
+        showNotification('error', response.error);
+    } else if (profileAction.describe) {
+        showNotification('success', profileAction.describe(response.data));
+    }
+}
+
+// Canonical profile URL from a message, or null when it is not a profile URL
+function profileUrlFrom(data) {
+    return data && typeof data.url === 'string' ? LinkedInUrl.canonicalizeProfileUrl(data.url) : null;
+}
+
+const INVALID_PROFILE_URL = 'Not a LinkedIn profile URL (linkedin.com/in/username)';
+
+// Add a profile to the popup's queue (chrome.storage.local linkedinUrls)
+async function handleQueueProfileUrl(data, sendResponse) {
+    try {
+        const url = profileUrlFrom(data);
+        
+        if (!url) {
+            sendResponse({ success: false, error: INVALID_PROFILE_URL });
+            return;
+        }
+        
+        const { linkedinUrls = [] } = await chrome.storage.local.get(['linkedinUrls']);
+        const added = !linkedinUrls.includes(url);
+        
+        if (added) {
+            linkedinUrls.push(url);
+            await chrome.storage.local.set({ linkedinUrls });
+            console.log('📝 URL queued:', url);
+        }
+        
+        sendResponse({
+            success: true,
+            data: { url, added, queueLength: linkedinUrls.length }
+        });
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Scrape a single profile as its own batch. While another batch runs or is
+// paused the profile is queued instead.
+async function handleScrapeProfileNow(data, sendResponse) {
+    try {
+        const url = profileUrlFrom(data);
+        
+        if (!url) {
+            sendResponse({ success: false, error: INVALID_PROFILE_URL });
+            return;
+        }
+        
+        await batchRestored;
+        
+        if (extensionState.isProcessing || (extensionState.batch && extensionState.batch.status === 'paused')) {
+            handleQueueProfileUrl({ url }, (response) => sendResponse(
+                response.success ? { success: true, data: { ...response.data, action: 'queued' } } : response
+            ));
+            return;
+        }
+        
+        console.log('🚀 Scraping single profile:', url);
+        
+        extensionState.batch = createBatch([url], { source: 'single' });
+        await persistBatchState();
+        
+        // Completion and failures are reported by the batch itself
+        runBatch().catch(error => console.error('❌ Single profile scrape failed:', error));
+        
+        sendResponse({
+            success: true,
+            data: { url, action: 'started' }
+        });
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Open the stored record of a profile from the backend in a new tab
+async function handleOpenSavedProfile(data, sendResponse) {
+    try {
+        const url = profileUrlFrom(data);
+        
+        if (!url) {
+            sendResponse({ success: false, error: INVALID_PROFILE_URL });
+            return;
+        }
+        
+        const lookup = await lookupStoredProfile(url);
+        
+        if (lookup.stored === null) {
+            sendResponse({ success: false, error: 'Backend API is offline - could not look up the profile' });
+            return;
+        }
+        
+        if (!lookup.stored) {
+            sendResponse({ success: false, error: 'This profile has not been saved yet' });
+            return;
+        }
+        
+        await chrome.tabs.create({ url: `${CONFIG.API_BASE_URL}/profiles/${lookup.profileId}` });
+        
+        sendResponse({
+            success: true,
+            data: { url, profileId: lookup.profileId }
+        });
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
 // ====================
 // BATCH PROCESSING LOGIC
 // ====================
 
 async function handleStartBatchProcessing(data, sendResponse) {
     try {
+        // Make sure an interrupted batch has been restored before deciding
+        await batchRestored;
+        
         if (extensionState.isProcessing) {
             sendResponse({ 
                 success: false, 
@@ -107,9 +398,17 @@ async function handleStartBatchProcessing(data, sendResponse) {
             return;
         }
         
-        const { urls } = data;
+        if (extensionState.batch && extensionState.batch.status === 'paused') {
+            sendResponse({ 
+                success: false, 
+                error: 'A paused batch exists - resume or stop it first' 
+            });
+            return;
+        }
+        
+        const urls = data && Array.isArray(data.urls) ? dedupeProfileUrls(data.urls) : null;
         
-        if (!urls || !Array.isArray(urls) || urls.length === 0) {
+        if (!urls || urls.length === 0) {
             sendResponse({ 
                 success: false, 
                 error: 'No URLs provided for processing' 
@@ -119,41 +418,25 @@ async function handleStartBatchProcessing(data, sendResponse) {
         
         console.log('🚀 Starting batch processing of', urls.length, 'URLs');
         
-        // Initialize processing state
-        extensionState.isProcessing = true;
-        extensionState.currentBatch = [...urls];
-        extensionState.processedCount = 0;
-        extensionState.successCount = 0;
-        extensionState.errorCount = 0;
-        extensionState.processingStartTime = Date.now(); // Use timestamp instead of Date object
+        // Initialize and persist processing state
+        extensionState.batch = createBatch(urls);
+        await persistBatchState();
         
         // Start processing
-        const results = await processBatchUrls(urls);
-        
-        // Update statistics
-        await updateStatistics(results);
-        
-        // Reset state
-        resetState();
-        
-        console.log('✅ Batch processing completed:', results.summary);
+        const results = await runBatch();
         
         sendResponse({
             success: true,
             data: {
+                status: results.status,
                 results,
                 summary: results.summary,
-                processingTime: Date.now() - extensionState.processingStartTime
+                processingTime: results.summary.processingTime
             }
         });
         
-        showNotification('success', 
-            `Batch completed! ${results.summary.success}/${results.summary.total} profiles processed successfully`
-        );
-        
     } catch (error) {
         console.error('❌ Batch processing failed:', error);
-        resetState();
         
         sendResponse({
             success: false,
@@ -164,100 +447,230 @@ async function handleStartBatchProcessing(data, sendResponse) {
     }
 }
 
-async function processBatchUrls(urls) {
-    const results = {
-        successful: [],
-        failed: [],
-        skipped: [],
-        summary: {
-            total: urls.length,
-            success: 0,
-            errors: 0,
-            duplicates: 0,
-            startTime: Date.now(),
-            endTime: null
+// Process the pending items of the current batch and finalize it.
+// Used for new batches as well as for batches restored after a worker restart.
+async function runBatch() {
+    const batch = extensionState.batch;
+    extensionState.isProcessing = true;
+    
+    const run = (async () => {
+        let results = await processBatchUrls(batch);
+        
+        // A pause followed by a quick resume can land after the loop exited
+        while (batch.status === 'running' && extensionState.isProcessing &&
+               !isRefreshWindowClosed(batch) &&
+               batch.items.some(item => item.status === 'pending')) {
+            results = await processBatchUrls(batch);
         }
-    };
+        
+        if (batch.status === 'paused') {
+            await persistBatchState(batch);
+            if (extensionState.batch === batch) {
+                extensionState.isProcessing = false;
+            }
+            
+            console.log(`⏸️ Batch paused: ${countFinishedItems(batch)}/${batch.items.length} processed`);
+            notifyPopup('batchPaused', { summary: results.summary });
+            return results;
+        }
+        
+        await finishBatch(batch, results);
+        return results;
+    })();
+    
+    extensionState.batchRun = run;
+    
+    try {
+        return await run;
+    } catch (error) {
+        await clearBatchState();
+        resetState();
+        throw error;
+    } finally {
+        if (extensionState.batchRun === run) {
+            extensionState.batchRun = null;
+        }
+    }
+}
+
+// A scheduled refresh whose time window has passed: its workers stop claiming items
+function isRefreshWindowClosed(batch) {
+    return Boolean(batch.refreshWindow) &&
+        !isWithinTimeWindow(new Date(), batch.refreshWindow.start, batch.refreshWindow.end);
+}
+
+async function finishBatch(batch, results) {
+    batch.status = batch.status === 'stopped' ? 'stopped' : 'completed';
+    batch.endTime = Date.now();
+    
+    // Left pending when the refresh window closed; the backend reports them as stale again next time
+    const deferred = batch.items.filter(item => item.status === 'pending').length;
+    await persistBatchState(batch);
+    
+    // Update statistics
+    await updateStatistics(results);
+    
+    // Clear the popup queue even if the popup was closed while the batch ran
+    // (scheduled refresh and single profile batches never came from the queue)
+    if (results.summary.success > 0 && batch.source === 'manual') {
+        await chrome.storage.local.set({ linkedinUrls: [] });
+    }
+    
+    // A new batch may already have started after a stop
+    if (extensionState.batch === batch) {
+        resetState();
+    }
+    
+    console.log('✅ Batch processing completed:', results.summary);
+    
+    notifyPopup('batchCompleted', {
+        status: batch.status,
+        summary: results.summary
+    });
+    
+    const label = batch.source === 'scheduled' ? 'Stale profile refresh' : 'Batch';
+    showNotification('success', 
+        `${label} completed! ${results.summary.success}/${results.summary.total} profiles processed successfully` +
+        (deferred > 0 ? ` (${deferred} left for the next refresh window)` : '')
+    );
+}
+
+// Run the pending items of a batch through a bounded pool of tab workers.
+// Each worker claims the next pending item, so results land on their own item
+// and progress is always derived from the batch as a whole.
+async function processBatchUrls(batch) {
+    const settings = await getProcessingSettings();
+    const pending = batch.items.filter(item => item.status === 'pending').length;
+    const workerCount = Math.min(settings.maxConcurrentTabs, pending);
     
-    console.log('📊 Processing', urls.length, 'URLs in batch mode');
+    console.log(`📊 Processing ${batch.items.length} URLs with ${workerCount} concurrent tab(s)`);
+    
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+        workers.push(runBatchWorker(batch, i + 1, settings));
+    }
+    await Promise.all(workers);
+    
+    return buildBatchResults(batch);
+}
+
+async function runBatchWorker(batch, workerId, settings) {
+    const total = batch.items.length;
     
-    for (let i = 0; i < urls.length; i++) {
-        const url = urls[i];
+    while (true) {
+        // Check if processing was stopped or paused
+        if (!extensionState.isProcessing || batch.status !== 'running') {
+            console.log(`⏹️ Worker ${workerId}: batch ${batch.status === 'paused' ? 'paused' : 'stopped'} by user`);
+            return;
+        }
+        
+        // Scheduled refreshes only run inside their time window; leftovers stay stale for next time
+        if (isRefreshWindowClosed(batch)) {
+            console.log(`🌙 Worker ${workerId}: refresh window closed`);
+            return;
+        }
+        
+        // Items already handled before a service worker restart are skipped here too
+        const item = batch.items.find(candidate => candidate.status === 'pending');
+        if (!item) {
+            return;
+        }
+        
+        // Claimed synchronously, so no other worker can pick the same item
+        item.status = 'processing';
         
         try {
-            console.log(`🔄 Processing ${i + 1}/${urls.length}: ${url}`);
+            await persistBatchState(batch);
+            notifyPopupProgress(batch, item.url);
             
-            extensionState.processedCount = i + 1;
-            notifyPopupProgress(i + 1, urls.length, url);
+            console.log(`🔄 Worker ${workerId} processing ${batch.items.indexOf(item) + 1}/${total}: ${item.url}`);
             
-            const result = await processSingleUrl(url);
-            
-            if (result.success) {
-                results.successful.push({
-                    url,
-                    profile: result.profile,
-                    profileId: result.profileId
-                });
-                results.summary.success++;
-                extensionState.successCount++;
-                
-                console.log('✅ Successfully processed:', result.profile?.name || 'Unknown');
-            } else if (result.isDuplicate) {
-                results.skipped.push({
-                    url,
-                    reason: 'duplicate',
-                    error: result.error
-                });
-                results.summary.duplicates++;
-                
-                console.log('ℹ️ Skipped duplicate:', url);
-            } else {
-                results.failed.push({
-                    url,
-                    error: result.error
-                });
-                results.summary.errors++;
-                extensionState.errorCount++;
-                
-                console.error('❌ Failed to process:', url, result.error);
-            }
+            const result = await processSingleUrl(item, batch, settings);
+            applyItemResult(item, result);
             
         } catch (error) {
-            console.error('❌ Error processing URL:', url, error);
-            
-            results.failed.push({
-                url,
-                error: error.message
-            });
-            results.summary.errors++;
-            extensionState.errorCount++;
-        }
-        
-        // Add delay between requests
-        if (i < urls.length - 1) {
-            await wait(CONFIG.PROCESSING_DELAY);
+            console.error('❌ Error processing URL:', item.url, error);
+            applyItemResult(item, { success: false, error: error.message });
         }
         
-        // Check if processing was stopped
-        if (!extensionState.isProcessing) {
-            console.log('⏹️ Batch processing stopped by user');
-            break;
-        }
+        await persistBatchState(batch);
+        notifyPopupProgress(batch, item.url);
     }
+}
+
+// Worker pool size and request spacing, from the settings written at install
+async function getProcessingSettings() {
+    let stored = {};
     
-    results.summary.endTime = Date.now();
-    results.summary.processingTime = results.summary.endTime - results.summary.startTime;
+    try {
+        const storage = await chrome.storage.local.get(['settings']);
+        stored = storage.settings || {};
+    } catch (error) {
+        console.warn('Could not load settings, using defaults:', error.message);
+    }
     
-    return results;
+    const maxConcurrentTabs = parseInt(stored.maxConcurrentTabs, 10);
+    const processingDelay = parseInt(stored.processingDelay, 10);
+    
+    return {
+        maxConcurrentTabs: maxConcurrentTabs > 0 ?
+            Math.min(maxConcurrentTabs, CONFIG.MAX_CONCURRENT_TABS_LIMIT) :
+            CONFIG.MAX_CONCURRENT_TABS,
+        processingDelay: processingDelay >= 0 ? processingDelay : CONFIG.PROCESSING_DELAY
+    };
+}
+
+// Global rate limit shared by all workers: LinkedIn pages (profiles and their
+// details pages) are opened at least `interval` ms apart no matter how many tabs run at once
+async function acquireRequestSlot(interval) {
+    const now = Date.now();
+    const slot = Math.max(now, extensionState.nextRequestAt);
+    extensionState.nextRequestAt = slot + interval;
+    
+    if (slot > now) {
+        await wait(slot - now);
+    }
+}
+
+function applyItemResult(item, result) {
+    item.finishedAt = Date.now();
+    
+    if (result.success) {
+        item.status = 'success';
+        item.action = result.action;
+        item.profile = result.profile;
+        item.profileId = result.profileId;
+        
+        console.log(`✅ Successfully processed (${result.action}):`, result.profile?.name || 'Unknown');
+    } else if (result.isDuplicate) {
+        item.status = 'skipped';
+        item.error = result.error;
+        
+        console.log('ℹ️ Skipped duplicate:', item.url);
+    } else {
+        item.status = 'failed';
+        item.error = result.error;
+        
+        console.error('❌ Failed to process:', item.url, result.error);
+    }
 }
 
-async function processSingleUrl(url) {
+async function processSingleUrl(item, batch, settings) {
+    const url = item.url;
     let tab = null;
-    let retryCount = 0;
+    let lastError = null;
+    let diagnostics = null;
     
-    while (retryCount < CONFIG.MAX_RETRIES) {
+    // Attempts are persisted, so a restart mid-URL does not grant extra retries
+    while (item.attempts < CONFIG.MAX_RETRIES) {
+        item.attempts++;
+        
         try {
-            console.log(`📂 Attempt ${retryCount + 1}/${CONFIG.MAX_RETRIES} for URL: ${url}`);
+            console.log(`📂 Attempt ${item.attempts}/${CONFIG.MAX_RETRIES} for URL: ${url}`);
+            
+            await acquireRequestSlot(settings.processingDelay);
+            const deadline = Date.now() + CONFIG.TAB_TIMEOUT;
+            diagnostics = { attempt: item.attempts, openedAt: Date.now(), timings: {}, preparation: null };
             
             // Create new tab
             tab = await chrome.tabs.create({
@@ -267,31 +680,44 @@ async function processSingleUrl(url) {
             
             console.log('📂 Opened tab:', tab.id);
             extensionState.activeTabs.add(tab.id);
+            item.tabId = tab.id;
+            await persistBatchState(batch);
             
-            // Wait for page to load with timeout
-            await waitForTabComplete(tab.id, CONFIG.TAB_TIMEOUT);
-            
-            // Additional wait for dynamic content
-            await wait(5000);
-            
-            // Extract profile data
-            const profileData = await extractProfileFromTab(tab.id);
+            // Loading, preparing and extracting the profile page share the tab's time budget...
+            const { profileData, preparation } = await withTimeout(
+                scrapeOpenedTab(tab.id, diagnostics, deadline),
+                deadline - Date.now(),
+                'Profile tab timeout'
+            );
             
-            if (!profileData || !profileData.name) {
-                throw new Error('Failed to extract profile data - no name found');
-            }
+            // ...and details pages get what is left of it
+            await extractDetailsSections(tab.id, profileData, settings, deadline);
+            await annotateExtractionMeta(profileData, preparation);
             
-            profileData.url = url;
+            profileData.url = LinkedInUrl.canonicalizeProfileUrl(url) || url;
             
             // Send to backend API
             const saveResult = await saveProfileToBackend(profileData);
             
+            // Close tab
+            await closeTab(tab.id);
+            item.tabId = null;
+            
+            // Backend down: keep the scrape and save it once the API is back
+            if (!saveResult.success && saveResult.networkError) {
+                await enqueueOutbox(profileData, saveResult.error);
+                
+                return {
+                    success: true,
+                    action: 'queued',
+                    profile: profileData,
+                    profileId: null
+                };
+            }
+            
             if (!saveResult.success) {
                 const isDuplicate = saveResult.error && saveResult.error.includes('already exists');
                 
-                // Close tab before returning
-                await closeTab(tab.id);
-                
                 return {
                     success: false,
                     isDuplicate: isDuplicate,
@@ -299,39 +725,71 @@ async function processSingleUrl(url) {
                 };
             }
             
-            // Close tab
-            await closeTab(tab.id);
-            
             return {
                 success: true,
+                action: saveResult.action,
                 profile: profileData,
                 profileId: saveResult.profileId
             };
             
         } catch (error) {
-            console.error(`❌ Attempt ${retryCount + 1} failed for URL: ${url}`, error.message);
+            console.error(`❌ Attempt ${item.attempts} failed for URL: ${url}`, error.message);
+            lastError = error;
+            
+            // Only the final attempt is reported, and its page is only inspectable while the tab is open
+            if (diagnostics && item.attempts >= CONFIG.MAX_RETRIES) {
+                diagnostics.timings.failed = Date.now() - diagnostics.openedAt;
+                diagnostics.error = error;
+                diagnostics.capture = tab && extensionState.activeTabs.has(tab.id)
+                    ? await captureTabDiagnostics(tab.id)
+                    : null;
+            }
             
             // Clean up tab
             if (tab && extensionState.activeTabs.has(tab.id)) {
                 await closeTab(tab.id);
             }
+            item.tabId = null;
+            await persistBatchState(batch);
             
-            retryCount++;
-            
-            if (retryCount < CONFIG.MAX_RETRIES) {
+            if (item.attempts < CONFIG.MAX_RETRIES) {
                 console.log(`🔄 Retrying in 2 seconds...`);
                 await wait(2000);
             }
         }
     }
     
+    if (diagnostics && diagnostics.error) {
+        await uploadFailureDiagnostics(url, diagnostics);
+    }
+    
     return {
         success: false,
-        error: `Failed after ${CONFIG.MAX_RETRIES} attempts`
+        error: `Failed after ${item.attempts} attempts` + (lastError ? `: ${lastError.message}` : '')
     };
 }
 
-async function closeTab(tabId) {
+// Wait for an opened profile tab, prepare the page and extract the profile from it
+async function scrapeOpenedTab(tabId, diagnostics, deadline) {
+    await waitForTabComplete(tabId, deadline - Date.now());
+    diagnostics.timings.loaded = Date.now() - diagnostics.openedAt;
+    
+    // Scroll, expand and wait for lazily rendered sections instead of a fixed delay
+    const preparation = await prepareProfilePage(tabId);
+    diagnostics.preparation = preparation;
+    diagnostics.timings.prepared = Date.now() - diagnostics.openedAt;
+    
+    const profileData = await extractProfileFromTab(tabId);
+    
+    if (!profileData || !profileData.name) {
+        throw new Error('Failed to extract profile data - no name found');
+    }
+    diagnostics.timings.extracted = Date.now() - diagnostics.openedAt;
+    
+    return { profileData, preparation };
+}
+
+async function closeTab(tabId) {
     try {
         await chrome.tabs.remove(tabId);
         extensionState.activeTabs.delete(tabId);
@@ -350,11 +808,11 @@ async function extractProfileFromTab(tabId) {
     try {
         console.log('🔍 Extracting profile from tab:', tabId);
         
-        // First try to inject content script
+        // First try to inject content script (with the shared extractor it relies on)
         try {
             await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ['content.js']
+                files: ['shared/profileExtractor.js', 'content.js']
             });
         } catch (injectError) {
             console.log('Content script already injected or injection failed:', injectError.message);
@@ -363,14 +821,22 @@ async function extractProfileFromTab(tabId) {
         // Wait a bit more for the script to load
         await wait(2000);
         
-        // Execute extraction
+        const { rules } = await getExtractionRules();
+        
+        // Execute extraction with the same extractor the content script uses
         const results = await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            function: extractLinkedInProfileAdvanced
+            function: (rules) => ProfileExtractor.extractProfile(document, rules),
+            args: [rules]
         });
         
         if (results && results[0] && results[0].result) {
-            return results[0].result;
+            const schemaErrors = ProfileExtractor.validateProfile(results[0].result);
+            if (schemaErrors.length > 0) {
+                console.warn('⚠️ Extracted data does not match the profile schema:', schemaErrors);
+            }
+            
+            return ProfileExtractor.conformToSchema(results[0].result);
         }
         
         throw new Error('No data returned from extraction script');
@@ -381,443 +847,1032 @@ async function extractProfileFromTab(tabId) {
     }
 }
 
-// Fixed LinkedIn Profile Extraction - Accurate Follower/Connection Counts
-function extractLinkedInProfileAdvanced() {
+// The profile page only lists the first few entries of each section; when a
+// section links to its /details/<section>/ page the tab is sent there to read
+// the full list. Each page load takes a request slot like a profile page does
+// and gets its own time budget, cut short at `deadline`; any failure or
+// timeout keeps what the profile page showed. After a timeout no further pages
+// are followed, since the abandoned one may still be loading in the tab.
+async function extractDetailsSections(tabId, profile, settings, deadline = Infinity) {
+    const { rules } = await getExtractionRules();
+    let detailsPages = {};
+    
     try {
-        console.log('🔍 Advanced LinkedIn profile extraction starting...');
-        
-        const profileData = {
-            name: '',
-            about: '',
-            bio: '',
-            location: '',
-            followerCount: 0,
-            connectionCount: 0,
-            bioLine: '',
-            headline: '',
-            industry: '',
-            profilePicture: '',
-            experience: [],
-            education: [],
-            skills: [],
-            extractionStatus: 'success',
-            extractedAt: new Date().toISOString()
-        };
-
-        // Extract name
-        const nameSelectors = [
-            'h1.text-heading-xlarge.inline.t-24.v-align-middle.break-words',
-            'h1.text-heading-xlarge',
-            '.pv-text-details__left-panel h1',
-            '.ph5 h1',
-            'h1[aria-label]'
-        ];
-        
-        for (const selector of nameSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                profileData.name = element.textContent.trim();
-                console.log('✅ Name extracted:', profileData.name);
+        const [{ result } = {}] = await withTimeout(
+            chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                function: (rules) => ProfileExtractor.findDetailsPages(document, rules),
+                args: [rules]
+            }),
+            Math.min(CONFIG.DETAILS_PAGE_TIMEOUT, deadline - Date.now()),
+            'Details page lookup timeout'
+        );
+        detailsPages = result || {};
+    } catch (error) {
+        console.warn('⚠️ Could not look for details pages:', error.message);
+    }
+    
+    for (const [section, url] of Object.entries(detailsPages)) {
+        if (!url) continue;
+        
+        await acquireRequestSlot(settings.processingDelay);
+        
+        if (Date.now() >= deadline) {
+            console.warn(`⚠️ Tab time budget used up, keeping the profile page's ${section}`);
+            break;
+        }
+        
+        const pageDeadline = Math.min(Date.now() + CONFIG.DETAILS_PAGE_TIMEOUT, deadline);
+        
+        try {
+            console.log(`📄 Following ${section} details page:`, url);
+            const entries = await withTimeout(
+                extractDetailsPage(tabId, url, section, rules, pageDeadline),
+                pageDeadline - Date.now(),
+                `${section} details page timeout`
+            );
+            
+            if (!Array.isArray(entries) || entries.length < profile[section].length) {
+                console.warn(`⚠️ ${section} details page had fewer entries than the profile page, keeping those`);
+                continue;
+            }
+            
+            profile[section] = entries;
+            
+            if (profile.extractionMeta) {
+                profile.extractionMeta.fields[section] = entries.length > 0 ?
+                    ProfileExtractor.strategyProvenance('details-page', ProfileExtractor.resolveRules(rules).selectors.detailsPageItems) :
+                    null;
+            }
+            
+        } catch (error) {
+            console.warn(`⚠️ Could not read the ${section} details page:`, error.message);
+            
+            if (Date.now() >= pageDeadline) {
+                console.warn('⚠️ Not following further details pages after a timeout');
                 break;
             }
         }
+    }
+    
+    return profile;
+}
 
-        // Extract headline
-        const headlineSelectors = [
-            '.text-body-medium.break-words',
-            '.pv-text-details__left-panel .text-body-medium',
-            '.ph5 .text-body-medium'
-        ];
-        
-        for (const selector of headlineSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim() && !element.textContent.includes('•')) {
-                const text = element.textContent.trim();
-                profileData.bioLine = text;
-                profileData.headline = text;
-                profileData.bio = text;
-                console.log('✅ Headline extracted:', profileData.bioLine);
-                break;
-            }
+// Run the extractor's page preparation in the tab: scroll through the page,
+// wait for lazily rendered sections and click "see more" expanders. Returns
+// its report ({found, missing, scrolls, expanded, timedOut, elapsedMs}), or
+// null when preparation could not run; extraction goes ahead either way.
+async function prepareProfilePage(tabId, options = {}) {
+    try {
+        const { rules } = await getExtractionRules();
+        
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['shared/profileExtractor.js']
+        });
+        
+        const [{ result: report } = {}] = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            function: (rules, options) => ProfileExtractor.preparePage(document, rules, options),
+            args: [rules, options]
+        });
+        
+        if (report) {
+            console.log(`🧭 Page prepared in ${report.elapsedMs}ms: found ${report.found.join(', ') || 'no sections'}, expanded ${report.expanded}${report.timedOut ? ' (budget used up)' : ''}`);
         }
+        
+        return report || null;
+        
+    } catch (error) {
+        console.warn('⚠️ Page preparation failed, extracting as-is:', error.message);
+        return null;
+    }
+}
 
-        // Extract location
-        const locationSelectors = [
-            '.text-body-small.inline.t-black--light.break-words',
-            '.pv-text-details__left-panel .text-body-small'
-        ];
-        
-        const locationKeywords = ['connection', 'follower', 'view', 'profile', 'contact', 'mutual'];
-        
-        for (const selector of locationSelectors) {
-            const elements = document.querySelectorAll(selector);
-            for (const element of elements) {
-                const text = element.textContent.trim();
-                const isLocation = text && 
-                    !text.includes('•') && 
-                    !text.match(/\d+/) && 
-                    text.length > 2 && 
-                    text.length < 100 &&
-                    !locationKeywords.some(keyword => text.toLowerCase().includes(keyword));
-                
-                if (isLocation) {
-                    profileData.location = text;
-                    console.log('✅ Location extracted:', profileData.location);
-                    break;
-                }
-            }
-            if (profileData.location) break;
+// Record which rules version and page preparation produced this extraction
+async function annotateExtractionMeta(profile, preparation) {
+    if (!profile.extractionMeta) return profile;
+    
+    const { version } = await getExtractionRules();
+    profile.extractionMeta = ProfileExtractor.summarizeExtractionMeta({
+        ...profile.extractionMeta,
+        rulesVersion: version,
+        preparation: preparation ? {
+            found: preparation.found,
+            missing: preparation.missing,
+            expanded: preparation.expanded,
+            timedOut: preparation.timedOut
+        } : null
+    });
+    
+    return profile;
+}
+
+// Stops at `deadline` on its own, so a call abandoned by its caller's timeout
+// never reads whatever page the tab shows afterwards
+async function extractDetailsPage(tabId, url, section, rules, deadline) {
+    const ensureTimeLeft = () => {
+        if (Date.now() >= deadline) {
+            throw new Error(`${section} details page timeout`);
         }
+    };
+    
+    await chrome.tabs.update(tabId, { url });
+    
+    // Give the navigation a moment to start so the old page's "complete" is not picked up
+    await wait(1000);
+    ensureTimeLeft();
+    await waitForTabComplete(tabId, deadline - Date.now());
+    ensureTimeLeft();
+    await prepareProfilePage(tabId, {
+        budgetMs: Math.min(CONFIG.DETAILS_PREPARATION_BUDGET, deadline - Date.now())
+    });
+    ensureTimeLeft();
+    
+    const [{ result: entries } = {}] = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        function: (section, rules) => ProfileExtractor.extractDetailsSection(document, section, rules),
+        args: [section, rules]
+    });
+    
+    return entries;
+}
 
-        // FIXED: Extract follower and connection counts with specific selectors
-        console.log('🔍 Starting count extraction...');
+// Selector match counts and the sanitized top card of a page whose extraction
+// failed; null when the tab can no longer be scripted
+async function captureTabDiagnostics(tabId) {
+    try {
+        const { rules } = await getExtractionRules();
         
-        // Method 1: Try specific LinkedIn connection/follower elements
-        const connectionSelectors = [
-            // New LinkedIn layout
-            'a[href*="/search/results/people/?network=%5B%22F%22%5D"] .t-black--light .t-bold',
-            'a[href*="search/results/people"] .t-black--light',
-            '.pv-top-card--list-bullet li:first-child .t-black--light',
+        const inspect = async () => {
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                files: ['shared/profileExtractor.js']
+            });
             
-            // Alternative selectors
-            '.pv-top-card__connections .t-black--light',
-            '.pv-top-card--list .pv-top-card--list-bullet li .t-black--light'
-        ];
-        
-        const followerSelectors = [
-            // New LinkedIn layout  
-            'a[href*="/followers/"] .t-black--light .t-bold',
-            'a[href*="followers"] .t-black--light',
-            '.pv-top-card--list-bullet li:last-child .t-black--light',
+            const [{ result } = {}] = await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                function: (rules) => ProfileExtractor.captureDiagnostics(document, rules),
+                args: [rules]
+            });
             
-            // Alternative selectors
-            '.pv-top-card__followers .t-black--light'
-        ];
-
-        // Extract connection count
-        for (const selector of connectionSelectors) {
-            try {
-                const element = document.querySelector(selector);
-                if (element) {
-                    const text = element.textContent.trim();
-                    console.log('🔍 Found connection element text:', text);
-                    
-                    if (text.toLowerCase().includes('connection')) {
-                        const match = text.match(/(\d+(?:,\d+)*)/);
-                        if (match) {
-                            profileData.connectionCount = parseInt(match[1].replace(/,/g, ''));
-                            console.log('✅ Connection count extracted:', profileData.connectionCount);
-                            break;
-                        }
-                    }
-                }
-            } catch (e) {
-                console.warn('Error with connection selector:', selector, e.message);
-            }
+            return result || null;
+        };
+        
+        return await withTimeout(inspect(), CONFIG.DIAGNOSTICS_TIMEOUT, 'Diagnostics capture timeout');
+        
+    } catch (error) {
+        console.warn('⚠️ Could not capture diagnostics from tab:', tabId, error.message);
+        return null;
+    }
+}
+
+// ====================
+// EXTRACTION RULES
+// ====================
+
+// Selector rules published through the backend, cached in chrome.storage.local.
+// `rules: null` means the rules bundled with the extension are used.
+let rulesRefresh = null;
+
+async function getExtractionRules() {
+    const storage = await chrome.storage.local.get([RULES_STORAGE_KEY]);
+    const cached = storage[RULES_STORAGE_KEY];
+    
+    if (cached && Date.now() - cached.fetchedAt < CONFIG.RULES_MAX_AGE) {
+        return cached;
+    }
+    
+    // Concurrent tab workers share one request
+    if (!rulesRefresh) {
+        rulesRefresh = refreshExtractionRules(cached).finally(() => {
+            rulesRefresh = null;
+        });
+    }
+    
+    return rulesRefresh;
+}
+
+async function refreshExtractionRules(cached) {
+    const fallback = cached || { version: 0, rules: null, source: 'bundled', fetchedAt: 0 };
+    
+    try {
+        const response = await withTimeout(
+            fetch(`${CONFIG.API_BASE_URL}/extraction-rules`),
+            10000,
+            'Extraction rules request timeout'
+        );
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP ${response.status}`);
         }
+        
+        const { version, source, rules } = result.data;
+        const errors = ProfileExtractor.validateRules(rules);
+        
+        if (errors.length > 0) {
+            console.warn(`⚠️ Extraction rules v${version} failed validation, keeping v${fallback.version}:`, errors);
+            return fallback;
+        }
+        
+        const entry = {
+            version,
+            source,
+            rules: source === 'bundled' ? null : rules,
+            fetchedAt: Date.now()
+        };
+        
+        await chrome.storage.local.set({ [RULES_STORAGE_KEY]: entry });
+        
+        if (version !== fallback.version) {
+            console.log(`📐 Using extraction rules v${version} (${source})`);
+        }
+        
+        return entry;
+        
+    } catch (error) {
+        console.warn(`⚠️ Could not fetch extraction rules, using v${fallback.version}:`, error.message);
+        return fallback;
+    }
+}
 
-        // Extract follower count
-        for (const selector of followerSelectors) {
-            try {
-                const element = document.querySelector(selector);
-                if (element) {
-                    const text = element.textContent.trim();
-                    console.log('🔍 Found follower element text:', text);
-                    
-                    if (text.toLowerCase().includes('follower')) {
-                        const match = text.match(/(\d+(?:,\d+)*)/);
-                        if (match) {
-                            profileData.followerCount = parseInt(match[1].replace(/,/g, ''));
-                            console.log('✅ Follower count extracted:', profileData.followerCount);
-                            break;
-                        }
-                    }
-                }
-            } catch (e) {
-                console.warn('Error with follower selector:', selector, e.message);
-            }
+// ====================
+// PROFILE LINK HARVESTING
+// ====================
+
+// Collect the profile links on a LinkedIn listing page (people search, company
+// People tab, My Network, "People also viewed"), following its pagination, and
+// report which of them are already stored
+async function handleHarvestProfileLinks(data, sendResponse) {
+    try {
+        const tab = await chrome.tabs.get(data.tabId);
+        
+        if (!tab || !/^https:\/\/([a-z0-9-]+\.)?linkedin\.com\//i.test(tab.url || '')) {
+            throw new Error('Open a LinkedIn search, company People or My Network page first');
+        }
+        
+        console.log('🔎 Harvesting profile links from:', tab.url);
+        const { rules } = await getExtractionRules();
+        
+        await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: ['shared/profileExtractor.js']
+        });
+        
+        const [{ result: harvest } = {}] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            function: (rules) => ProfileExtractor.harvestProfileLinks(document, rules),
+            args: [rules]
+        });
+        
+        if (!harvest) {
+            throw new Error('Could not read profile links from this page');
         }
+        
+        // Country subdomains and vanity-name casing collapse into one canonical URL
+        const urls = [...new Set(harvest.links.map(link => LinkedInUrl.canonicalizeProfileUrl(link)).filter(Boolean))];
+        const profiles = await lookupStoredProfiles(urls);
+        
+        console.log(`🔎 Found ${urls.length} profiles on ${harvest.pages} page(s), ${profiles.filter(p => p.stored).length} already stored`);
+        
+        sendResponse({
+            success: true,
+            data: {
+                pageUrl: tab.url,
+                pages: harvest.pages,
+                stoppedBy: harvest.stoppedBy,
+                profiles
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ Profile link harvest failed:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
 
-        // Method 2: Fallback - scan all elements but with better filtering
-        if (profileData.connectionCount === 0 && profileData.followerCount === 0) {
-            console.log('🔍 Using fallback method for counts...');
-            
-            const allElements = document.querySelectorAll('.t-black--light, .t-normal, .pv-top-card--list-bullet li');
+// ====================
+// SAVE CURRENT PROFILE
+// ====================
+
+// Save the profile open in the given tab right away, without the batch queue or
+// a background tab. The page is read as the user sees it: it is not scrolled and
+// no /details/ pages are followed, so long sections keep their first entries.
+async function handleSaveCurrentProfile(data, sendResponse) {
+    try {
+        const tab = await chrome.tabs.get(data.tabId);
+        const url = tab ? LinkedInUrl.canonicalizeProfileUrl(tab.url) : null;
+        
+        if (!url) {
+            throw new Error('Open a LinkedIn profile (linkedin.com/in/username) first');
+        }
+        
+        console.log('💾 Saving current profile:', url);
+        
+        const profileData = await withTimeout(
+            extractProfileFromOpenTab(tab.id),
+            CONFIG.CURRENT_PROFILE_TIMEOUT,
+            'Profile extraction timeout'
+        );
+        
+        if (!profileData || !profileData.name) {
+            throw new Error('No profile name found - wait for the page to finish loading');
+        }
+        
+        await annotateExtractionMeta(profileData, null);
+        profileData.url = url;
+        
+        const saveResult = await saveProfileToBackend(profileData);
+        
+        // Backend down: same as in a batch, the scrape waits in the outbox
+        if (!saveResult.success && saveResult.networkError) {
+            await enqueueOutbox(profileData, saveResult.error);
             
-            for (const element of allElements) {
-                const text = element.textContent.trim().toLowerCase();
-                
-                // Only process elements that are clearly about connections/followers
-                if (text.includes('connection') && !text.includes('mutual') && !text.includes('view')) {
-                    // Look for pattern like "500+ connections" or "1,234 connections"
-                    const connectionMatch = text.match(/(\d+(?:,\d+)*)\+?\s*connection/i);
-                    if (connectionMatch && profileData.connectionCount === 0) {
-                        profileData.connectionCount = parseInt(connectionMatch[1].replace(/,/g, ''));
-                        console.log('✅ Connection count (fallback):', profileData.connectionCount);
-                    }
-                }
-                
-                if (text.includes('follower') && !text.includes('following')) {
-                    // Look for pattern like "1,500 followers" 
-                    const followerMatch = text.match(/(\d+(?:,\d+)*)\+?\s*follower/i);
-                    if (followerMatch && profileData.followerCount === 0) {
-                        profileData.followerCount = parseInt(followerMatch[1].replace(/,/g, ''));
-                        console.log('✅ Follower count (fallback):', profileData.followerCount);
-                    }
-                }
+            sendResponse({
+                success: true,
+                data: { action: 'queued', url, profile: profileData }
+            });
+            return;
+        }
+        
+        if (!saveResult.success) {
+            throw new Error(saveResult.error);
+        }
+        
+        await updateStatistics({ summary: { total: 1, success: 1, errors: 0 } });
+        
+        sendResponse({
+            success: true,
+            data: {
+                action: saveResult.action,
+                url,
+                profileId: saveResult.profileId,
+                profile: saveResult.profile,
+                changedFields: saveResult.changedFields,
+                diff: saveResult.action === 'updated' ? await fetchLatestProfileDiff(saveResult.profileId) : null
             }
+        });
+        
+    } catch (error) {
+        console.error('❌ Saving current profile failed:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// Ask the content script already running in the tab to extract the profile.
+// Profiles reached through in-page navigation never got it, so it is injected
+// when nothing answers.
+async function extractProfileFromOpenTab(tabId) {
+    let response;
+    
+    try {
+        response = await chrome.tabs.sendMessage(tabId, { action: 'extractProfile' });
+    } catch (error) {
+        console.log('Content script not reachable, injecting it:', error.message);
+        
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: ['shared/profileExtractor.js', 'content.js']
+        });
+        response = await chrome.tabs.sendMessage(tabId, { action: 'extractProfile' });
+    }
+    
+    if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'No data returned from the content script');
+    }
+    
+    const schemaErrors = ProfileExtractor.validateProfile(response.data);
+    if (schemaErrors.length > 0) {
+        console.warn('⚠️ Extracted data does not match the profile schema:', schemaErrors);
+    }
+    
+    return ProfileExtractor.conformToSchema(response.data);
+}
+
+// Diff between the snapshot this save recorded and the one before it. Null when
+// it cannot be computed (e.g. the profile predates extraction history).
+async function fetchLatestProfileDiff(profileId) {
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/profiles/${profileId}/diff`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP ${response.status}`);
         }
+        
+        return result.data.diff;
+        
+    } catch (error) {
+        console.warn('⚠️ Could not load profile diff:', profileId, error.message);
+        return null;
+    }
+}
 
-        // Method 3: Super specific method - look for clickable connection/follower links
-        if (profileData.connectionCount === 0) {
-            const connectionLinks = document.querySelectorAll('a[href*="search/results/people"], a[href*="network"]');
-            for (const link of connectionLinks) {
-                const text = link.textContent.trim().toLowerCase();
-                if (text.includes('connection')) {
-                    const match = text.match(/(\d+(?:,\d+)*)/);
-                    if (match) {
-                        const count = parseInt(match[1].replace(/,/g, ''));
-                        // Sanity check - most LinkedIn users have < 100K connections
-                        if (count < 100000) {
-                            profileData.connectionCount = count;
-                            console.log('✅ Connection count (link method):', profileData.connectionCount);
-                            break;
-                        }
-                    }
-                }
-            }
+// ====================
+// API COMMUNICATION
+// ====================
+
+async function saveProfileToBackend(profileData) {
+    try {
+        console.log('💾 Saving profile to backend:', profileData.name);
+        
+        // Upsert so re-runs refresh stored profiles instead of being rejected as duplicates
+        const response = await fetch(`${CONFIG.API_BASE_URL}/profiles?onConflict=update`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(profileData)
+        });
+        
+        const result = await response.json();
+        
+        if (response.ok && result.success) {
+            // The API is reachable again, so anything queued while it was down can go now
+            flushOutboxIfPending();
+            
+            return {
+                success: true,
+                action: result.data.action || 'created',
+                profileId: result.data.profile.id,
+                profile: result.data.profile,
+                changedFields: result.data.metadata && result.data.metadata.changedFields || []
+            };
+        } else {
+            return {
+                success: false,
+                error: result.message || `HTTP ${response.status}`
+            };
         }
+        
+    } catch (error) {
+        console.error('❌ Failed to save profile to backend:', error);
+        return {
+            success: false,
+            // fetch() only throws when the request never got a response
+            networkError: error instanceof TypeError,
+            error: error.message
+        };
+    }
+}
 
-        if (profileData.followerCount === 0) {
-            const followerLinks = document.querySelectorAll('a[href*="followers"]');
-            for (const link of followerLinks) {
-                const text = link.textContent.trim().toLowerCase();
-                if (text.includes('follower')) {
-                    const match = text.match(/(\d+(?:,\d+)*)/);
-                    if (match) {
-                        const count = parseInt(match[1].replace(/,/g, ''));
-                        // More flexible limit for followers (some people do have millions)
-                        if (count < 10000000) { // 10M limit
-                            profileData.followerCount = count;
-                            console.log('✅ Follower count (link method):', profileData.followerCount);
-                            break;
-                        }
-                    }
-                }
+// Report a URL that failed every attempt. Diagnostics are best effort: a failed
+// upload is logged and never affects the batch.
+async function uploadFailureDiagnostics(url, diagnostics) {
+    try {
+        const { version } = await getExtractionRules();
+        const capture = diagnostics.capture || {};
+        const manifest = chrome.runtime.getManifest ? chrome.runtime.getManifest() : null;
+        
+        const response = await fetch(`${CONFIG.API_BASE_URL}/extraction-failures`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                url: url,
+                pageUrl: capture.pageUrl || null,
+                attempt: diagnostics.attempt,
+                error: {
+                    message: diagnostics.error.message,
+                    stack: diagnostics.error.stack || null
+                },
+                timings: diagnostics.timings,
+                selectorReport: capture.selectorReport || null,
+                preparation: diagnostics.preparation || (capture.sections ? { ...capture.sections } : null),
+                topCardHtml: capture.topCardHtml || null,
+                htmlTruncated: capture.htmlTruncated === true,
+                rulesVersion: version,
+                extensionVersion: manifest ? manifest.version : null,
+                capturedAt: new Date().toISOString()
+            })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP ${response.status}`);
+        }
+        
+        console.log('🧾 Uploaded diagnostics for failed URL:', url, `(#${result.data.id})`);
+        
+    } catch (error) {
+        console.warn('⚠️ Could not upload diagnostics for', url, error.message);
+    }
+}
+
+async function handleLookupStoredProfiles(data, sendResponse) {
+    try {
+        const urls = Array.isArray(data && data.urls) ? data.urls : [];
+        const canonicalUrls = [...new Set(urls.map(url => LinkedInUrl.canonicalizeProfileUrl(url)).filter(Boolean))];
+        
+        sendResponse({
+            success: true,
+            data: {
+                profiles: await lookupStoredProfiles(canonicalUrls)
             }
+        });
+        
+    } catch (error) {
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// Whether each URL is already stored: { url, stored, profileId, name }, where
+// `stored` is null when the backend could not be asked
+async function lookupStoredProfiles(urls) {
+    const results = new Array(urls.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < urls.length) {
+            const index = next++;
+            results[index] = await lookupStoredProfile(urls[index]);
         }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(CONFIG.LOOKUP_CONCURRENCY, urls.length) }, worker));
+    return results;
+}
 
-        // Sanity check and validation
-        if (profileData.connectionCount > 100000) {
-            console.warn('⚠️ Connection count seems too high, setting to 0:', profileData.connectionCount);
-            profileData.connectionCount = 0;
+async function lookupStoredProfile(url) {
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/profiles/by-url/${encodeURIComponent(url)}`);
+        
+        if (response.status === 404) {
+            return { url, stored: false, profileId: null, name: null };
         }
         
-        if (profileData.followerCount > 50000000) { // 50M seems like a reasonable upper limit
-            console.warn('⚠️ Follower count seems too high, setting to 0:', profileData.followerCount);
-            profileData.followerCount = 0;
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP ${response.status}`);
         }
+        
+        return { url, stored: true, profileId: result.data.profile.id, name: result.data.profile.name };
+        
+    } catch (error) {
+        console.warn('⚠️ Could not look up stored profile:', url, error.message);
+        return { url, stored: null, profileId: null, name: null };
+    }
+}
 
-        // Extract profile picture
-        const profileImgSelectors = [
-            '.pv-top-card__photo img',
-            '.profile-photo-edit__preview img',
-            '.pv-top-card-profile-picture img'
-        ];
-        
-        for (const selector of profileImgSelectors) {
-            const img = document.querySelector(selector);
-            if (img && img.src && !img.src.includes('data:') && img.src.includes('http')) {
-                profileData.profilePicture = img.src;
-                console.log('✅ Profile picture extracted');
-                break;
-            }
+// Full stored record of a profile, for the in-page overlay
+async function handleGetStoredProfile(data, sendResponse) {
+    try {
+        const url = profileUrlFrom(data);
+        
+        if (!url) {
+            sendResponse({ success: false, error: INVALID_PROFILE_URL });
+            return;
         }
+        
+        const response = await fetch(`${CONFIG.API_BASE_URL}/profiles/by-url/${encodeURIComponent(url)}`);
+        
+        if (response.status === 404) {
+            sendResponse({ success: true, data: { url, stored: false, profile: null } });
+            return;
+        }
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP ${response.status}`);
+        }
+        
+        sendResponse({ success: true, data: { url, stored: true, profile: result.data.profile } });
+        
+    } catch (error) {
+        console.warn('⚠️ Could not load stored profile:', error.message);
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        // Extract about section
-        const aboutSelectors = [
-            '#about ~ * .inline-show-more-text',
-            '.pv-about-section .pv-shared-text-with-see-more',
-            '.pv-about__summary-text .inline-show-more-text'
-        ];
-        
-        for (const selector of aboutSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim().length > profileData.bioLine.length) {
-                profileData.about = element.textContent.trim();
-                console.log('✅ About section extracted:', profileData.about.substring(0, 50) + '...');
-                break;
+// Whether the asking content script runs in a tab a batch worker opened
+// (the batch's item keeps the tab id across a service worker restart)
+async function handleIsManagedTab(sender, sendResponse) {
+    await batchRestored;
+    
+    const tabId = sender && sender.tab ? sender.tab.id : null;
+    const batch = extensionState.batch;
+    const managed = tabId !== null && (
+        extensionState.activeTabs.has(tabId) ||
+        Boolean(batch && batch.items.some(item => item.tabId === tabId))
+    );
+    
+    sendResponse({ success: true, data: { managed } });
+}
+
+// Query parameters of GET /api/profiles the side panel may set
+const PROFILE_LIST_PARAMS = ['page', 'limit', 'sortBy', 'sortOrder', 'search', 'status', 'location', 'minFollowers', 'maxFollowers'];
+
+// A page of stored profiles for the side panel browser
+async function handleListStoredProfiles(data, sendResponse) {
+    try {
+        const params = new URLSearchParams();
+        PROFILE_LIST_PARAMS.forEach(param => {
+            if (data && data[param] !== undefined && data[param] !== null && data[param] !== '') {
+                params.set(param, data[param]);
             }
+        });
+        
+        const response = await fetch(`${CONFIG.API_BASE_URL}/profiles?${params}`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP ${response.status}`);
+        }
+        
+        sendResponse({
+            success: true,
+            data: {
+                profiles: result.data.profiles,
+                pagination: result.data.pagination
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to list stored profiles:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Set the tags and/or notes of a stored profile
+async function handleUpdateProfileAnnotations(data, sendResponse) {
+    try {
+        const { profileId, tags, notes } = data || {};
+        
+        const response = await fetch(`${CONFIG.API_BASE_URL}/profiles/${profileId}/annotations`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ tags, notes })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.errors ? result.errors.map(e => e.message || e).join(', ') : result.message || `HTTP ${response.status}`);
         }
+        
+        sendResponse({ success: true, data: result.data.profile });
+        
+    } catch (error) {
+        console.error('❌ Failed to save annotations:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function fetchStaleProfiles(settings) {
+    const params = new URLSearchParams({
+        days: settings.maxAgeDays,
+        retryAfterHours: settings.retryAfterHours,
+        limit: settings.batchSize
+    });
+    
+    const response = await fetch(`${CONFIG.API_BASE_URL}/profiles/stale?${params}`);
+    const result = await response.json();
+    
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    
+    return result.data.profiles;
+}
 
-        // Extract experience (improved)
-        const experienceElements = document.querySelectorAll('#experience ~ * .pvs-list__item, [data-section="experience"] .pvs-list__item');
-        
-        if (experienceElements.length > 0) {
-            const experience = [];
-            experienceElements.forEach((elem, index) => {
-                if (index < 5) { // Limit to first 5 experiences
-                    const titleSelectors = ['.t-bold', '.mr1.t-bold', '.pvs-entity__caption-wrapper .t-bold'];
-                    const companySelectors = ['.t-14.t-normal', '.pvs-entity__caption-wrapper .t-14'];
-                    
-                    let title = '';
-                    let company = '';
-                    
-                    for (const selector of titleSelectors) {
-                        const titleElem = elem.querySelector(selector);
-                        if (titleElem) {
-                            title = titleElem.textContent.trim();
-                            break;
-                        }
-                    }
-                    
-                    for (const selector of companySelectors) {
-                        const companyElem = elem.querySelector(selector);
-                        if (companyElem && !companyElem.textContent.includes(title)) {
-                            company = companyElem.textContent.trim();
-                            break;
-                        }
-                    }
-                    
-                    if (title || company) {
-                        experience.push({
-                            title: title,
-                            company: company,
-                            order: index
-                        });
-                    }
+async function handleTestApiConnection(sendResponse) {
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/health`);
+        const result = await response.json();
+        
+        if (response.ok) {
+            sendResponse({
+                success: true,
+                data: {
+                    status: 'online',
+                    serverInfo: result
                 }
             });
-            profileData.experience = experience;
-            console.log('✅ Experience extracted:', experience.length, 'entries');
+            
+            flushOutboxIfPending();
+        } else {
+            throw new Error(`API returned ${response.status}`);
+        }
+        
+    } catch (error) {
+        sendResponse({
+            success: false,
+            error: error.message,
+            data: {
+                status: 'offline'
+            }
+        });
+    }
+}
+
+// ====================
+// OFFLINE OUTBOX
+// ====================
+
+// Profiles scraped while the backend was unreachable wait in chrome.storage.local
+// and are flushed through POST /api/profiles/batch with exponential backoff.
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CONFIG.OUTBOX_ALARM) {
+        flushOutbox().catch(error => {
+            console.error('❌ Outbox flush failed:', error);
+        });
+    }
+});
+
+function createOutbox() {
+    return {
+        items: [], // { id, profile, queuedAt, error }
+        retryCount: 0,
+        nextAttemptAt: null,
+        lastError: null,
+        lastFlushAt: null
+    };
+}
+
+async function getOutbox() {
+    const storage = await chrome.storage.local.get([OUTBOX_STORAGE_KEY]);
+    return storage[OUTBOX_STORAGE_KEY] || createOutbox();
+}
+
+// Serialize read-modify-write of the outbox across concurrent tab workers
+let outboxLock = Promise.resolve();
+
+function updateOutbox(mutate) {
+    const run = outboxLock.then(async () => {
+        const outbox = await getOutbox();
+        const result = mutate(outbox);
+        await chrome.storage.local.set({ [OUTBOX_STORAGE_KEY]: outbox });
+        return result;
+    });
+    
+    outboxLock = run.catch(() => {});
+    return run;
+}
+
+async function enqueueOutbox(profileData, error) {
+    await updateOutbox(outbox => {
+        // A newer scrape of the same profile replaces the queued one
+        outbox.items = outbox.items.filter(item => item.profile.url !== profileData.url);
+        outbox.items.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            profile: profileData,
+            queuedAt: Date.now(),
+            error
+        });
+        outbox.lastError = error;
+        
+        if (!outbox.nextAttemptAt) {
+            outbox.nextAttemptAt = Date.now() + CONFIG.OUTBOX_RETRY_BASE;
+        }
+    });
+    
+    console.log('📦 Backend unreachable, queued profile for later:', profileData.name);
+    
+    await scheduleOutboxFlush();
+    await notifyOutboxChanged();
+}
+
+async function scheduleOutboxFlush() {
+    const outbox = await getOutbox();
+    
+    if (outbox.items.length === 0) {
+        await chrome.alarms.clear(CONFIG.OUTBOX_ALARM);
+        return;
+    }
+    
+    chrome.alarms.create(CONFIG.OUTBOX_ALARM, {
+        when: Math.max(outbox.nextAttemptAt || 0, Date.now() + 1000)
+    });
+}
+
+async function flushOutboxIfPending() {
+    try {
+        const outbox = await getOutbox();
+        if (outbox.items.length > 0) {
+            await flushOutbox({ force: true });
+        }
+    } catch (error) {
+        console.error('❌ Outbox flush failed:', error);
+    }
+}
+
+// Flush queued saves once /api/health answers. Unless forced, waits for the
+// backoff delay. Only one flush runs at a time.
+function flushOutbox({ force = false } = {}) {
+    if (!extensionState.outboxFlush) {
+        extensionState.outboxFlush = runOutboxFlush(force).finally(() => {
+            extensionState.outboxFlush = null;
+        });
+    }
+    
+    return extensionState.outboxFlush;
+}
+
+async function runOutboxFlush(force) {
+    const { items, nextAttemptAt } = await getOutbox();
+    const result = { flushed: 0, rejected: [], remaining: items.length, reachable: null };
+    
+    if (items.length === 0) {
+        return result;
+    }
+    
+    if (!force && nextAttemptAt && Date.now() < nextAttemptAt) {
+        await scheduleOutboxFlush();
+        return result;
+    }
+    
+    try {
+        result.reachable = await isBackendReachable();
+        if (!result.reachable) {
+            throw new Error('Backend unreachable');
+        }
+        
+        console.log(`📤 Flushing ${items.length} queued profiles`);
+        
+        for (let i = 0; i < items.length; i += CONFIG.OUTBOX_BATCH_SIZE) {
+            const chunk = items.slice(i, i + CONFIG.OUTBOX_BATCH_SIZE);
+            
+            const response = await fetch(`${CONFIG.API_BASE_URL}/profiles/batch?onConflict=update`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ profiles: chunk.map(item => item.profile) })
+            });
+            
+            const body = await response.json();
+            if (!body.data || !body.data.results) {
+                throw new Error(body.message || `HTTP ${response.status}`);
+            }
+            
+            // Saved and rejected profiles both leave the outbox; rejected ones would never succeed
+            const rejected = body.data.results.errors.map(entry => ({
+                url: chunk[entry.index].profile.url,
+                error: entry.error
+            }));
+            const sentIds = chunk.map(item => item.id);
+            
+            await updateOutbox(outbox => {
+                outbox.items = outbox.items.filter(item => !sentIds.includes(item.id));
+            });
+            
+            result.flushed += chunk.length - rejected.length;
+            result.rejected.push(...rejected);
         }
-
-        // Extract skills
-        const skillElements = document.querySelectorAll('#skills ~ * .pvs-list__item .t-bold, [data-section="skills"] .t-bold');
-        
-        if (skillElements.length > 0) {
-            const skills = [];
-            skillElements.forEach((elem, index) => {
-                if (index < 15) { // Limit to first 15 skills
-                    const skillText = elem.textContent.trim();
-                    if (skillText && skillText.length < 50 && skillText.length > 1) {
-                        skills.push(skillText);
-                    }
-                }
-            });
-            profileData.skills = [...new Set(skills)]; // Remove duplicates
-            console.log('✅ Skills extracted:', profileData.skills.length, 'skills');
+        
+        const outbox = await updateOutbox(outbox => {
+            outbox.retryCount = 0;
+            outbox.lastFlushAt = Date.now();
+            outbox.lastError = result.rejected.length > 0 ?
+                `${result.rejected.length} queued profiles rejected by the backend` :
+                null;
+            // Profiles queued during the flush get a fresh backoff
+            outbox.nextAttemptAt = outbox.items.length > 0 ? Date.now() + CONFIG.OUTBOX_RETRY_BASE : null;
+            return outbox;
+        });
+        
+        result.remaining = outbox.items.length;
+        
+        console.log(`✅ Outbox flushed: ${result.flushed} saved, ${result.rejected.length} rejected`);
+        if (result.rejected.length > 0) {
+            console.warn('⚠️ Rejected queued profiles:', result.rejected);
         }
-
-        // Determine extraction status
-        if (!profileData.name) {
-            profileData.extractionStatus = 'failed';
-        } else if (!profileData.bioLine && !profileData.location) {
-            profileData.extractionStatus = 'partial';
+        
+        if (result.flushed > 0) {
+            showNotification('success', `Saved ${result.flushed} queued profiles to the backend`);
         }
-
-        console.log('✅ Advanced profile extraction complete:', {
-            name: profileData.name,
-            hasLocation: !!profileData.location,
-            hasBio: !!profileData.bioLine,
-            hasAbout: !!profileData.about,
-            followerCount: profileData.followerCount,
-            connectionCount: profileData.connectionCount,
-            experienceCount: profileData.experience.length,
-            skillsCount: profileData.skills.length,
-            status: profileData.extractionStatus
+        
+    } catch (error) {
+        const outbox = await updateOutbox(outbox => {
+            outbox.retryCount++;
+            const delay = Math.min(
+                CONFIG.OUTBOX_RETRY_BASE * Math.pow(2, outbox.retryCount - 1),
+                CONFIG.OUTBOX_RETRY_MAX
+            );
+            outbox.nextAttemptAt = Date.now() + delay;
+            outbox.lastError = error.message;
+            return outbox;
         });
-
-        return profileData;
         
+        result.remaining = outbox.items.length;
+        result.error = error.message;
+        
+        console.warn(`⚠️ Outbox flush failed (${error.message}), retrying in ${Math.round((outbox.nextAttemptAt - Date.now()) / 1000)}s`);
+    }
+    
+    await scheduleOutboxFlush();
+    await notifyOutboxChanged();
+    
+    return result;
+}
+
+async function isBackendReachable() {
+    try {
+        const response = await withTimeout(
+            fetch(`${CONFIG.API_BASE_URL}/health`),
+            10000,
+            'Health check timeout'
+        );
+        return response.ok;
     } catch (error) {
-        console.error('❌ Advanced profile extraction failed:', error);
-        return {
-            name: 'Extraction Failed',
-            bioLine: 'Could not extract profile data',
-            extractionStatus: 'failed',
-            extractionError: error.message,
-            extractedAt: new Date().toISOString()
-        };
+        return false;
     }
 }
-// ====================
-// API COMMUNICATION
-// ====================
 
-async function saveProfileToBackend(profileData) {
+async function getOutboxStatus() {
+    const outbox = await getOutbox();
+    
+    return {
+        pending: outbox.items.length,
+        retryCount: outbox.retryCount,
+        nextAttemptAt: outbox.items.length > 0 ? outbox.nextAttemptAt : null,
+        lastError: outbox.lastError,
+        lastFlushAt: outbox.lastFlushAt,
+        flushing: !!extensionState.outboxFlush
+    };
+}
+
+async function notifyOutboxChanged() {
+    notifyPopup('outboxUpdated', await getOutboxStatus());
+}
+
+async function handleGetOutboxStatus(sendResponse) {
     try {
-        console.log('💾 Saving profile to backend:', profileData.name);
-        
-        const response = await fetch(`${CONFIG.API_BASE_URL}/profiles`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(profileData)
+        sendResponse({
+            success: true,
+            data: await getOutboxStatus()
         });
-        
-        const result = await response.json();
-        
-        if (response.ok && result.success) {
-            return {
-                success: true,
-                profileId: result.data.profile.id,
-                profile: result.data.profile
-            };
-        } else {
-            return {
-                success: false,
-                error: result.message || `HTTP ${response.status}`
-            };
-        }
-        
     } catch (error) {
-        console.error('❌ Failed to save profile to backend:', error);
-        return {
+        sendResponse({
             success: false,
             error: error.message
-        };
+        });
     }
 }
 
-async function handleTestApiConnection(sendResponse) {
+async function handleFlushOutbox(sendResponse) {
     try {
-        const response = await fetch(`${CONFIG.API_BASE_URL}/health`);
-        const result = await response.json();
-        
-        if (response.ok) {
-            sendResponse({
-                success: true,
-                data: {
-                    status: 'online',
-                    serverInfo: result
-                }
-            });
-        } else {
-            throw new Error(`API returned ${response.status}`);
-        }
+        const result = await flushOutbox({ force: true });
         
-    } catch (error) {
         sendResponse({
-            success: false,
-            error: error.message,
+            success: !result.error,
+            error: result.error,
             data: {
-                status: 'offline'
+                ...result,
+                outbox: await getOutboxStatus()
             }
         });
+    } catch (error) {
+        sendResponse({
+            success: false,
+            error: error.message
+        });
     }
 }
 
+// Make sure a retry is scheduled for anything left from a previous session
+scheduleOutboxFlush().catch(error => {
+    console.error('❌ Failed to schedule outbox flush:', error);
+});
+
 // ====================
 // STATE MANAGEMENT
 // ====================
 
-function handleStopBatchProcessing(sendResponse) {
+async function handleStopBatchProcessing(sendResponse) {
     console.log('⏹️ Stopping batch processing...');
     
+    await batchRestored;
+    
+    const batch = extensionState.batch;
     extensionState.isProcessing = false;
     
+    if (batch) {
+        batch.status = 'stopped';
+        persistBatchState(batch);
+        
+        // A paused batch has no running loop left to record its partial results
+        if (!extensionState.batchRun) {
+            finishBatch(batch, buildBatchResults(batch));
+        }
+    }
+    
     // Close any active tabs
     extensionState.activeTabs.forEach(async (tabId) => {
         await closeTab(tabId);
@@ -833,31 +1888,263 @@ function handleStopBatchProcessing(sendResponse) {
     showNotification('info', 'Batch processing stopped by user');
 }
 
-function handleGetProcessingStatus(sendResponse) {
+async function handlePauseBatchProcessing(sendResponse) {
+    await batchRestored;
+    
+    const batch = extensionState.batch;
+    
+    if (!batch || batch.status !== 'running') {
+        sendResponse({
+            success: false,
+            error: 'No running batch to pause'
+        });
+        return;
+    }
+    
+    console.log('⏸️ Pausing batch processing...');
+    
+    // The URL currently in flight finishes; remaining URLs stay queued
+    batch.status = 'paused';
+    batch.pausedAt = Date.now();
+    extensionState.isProcessing = false;
+    await persistBatchState(batch);
+    
+    sendResponse({
+        success: true,
+        message: 'Batch processing paused',
+        data: {
+            processedCount: countFinishedItems(batch),
+            totalUrls: batch.items.length
+        }
+    });
+    
+    showNotification('info', 'Batch processing paused');
+}
+
+async function handleResumeBatchProcessing(sendResponse) {
+    await batchRestored;
+    
+    const batch = extensionState.batch;
+    
+    if (!batch || batch.status !== 'paused') {
+        sendResponse({
+            success: false,
+            error: 'No paused batch to resume'
+        });
+        return;
+    }
+    
+    console.log('▶️ Resuming batch processing...');
+    
+    batch.status = 'running';
+    batch.resumedAt = Date.now();
+    extensionState.isProcessing = true;
+    await persistBatchState(batch);
+    
+    // If the loop is still finishing its last URL it simply carries on
+    if (!extensionState.batchRun) {
+        runBatch().catch(error => {
+            console.error('❌ Resumed batch processing failed:', error);
+            showNotification('error', 'Batch processing failed: ' + error.message);
+        });
+    }
+    
+    sendResponse({
+        success: true,
+        message: 'Batch processing resumed',
+        data: {
+            processedCount: countFinishedItems(batch),
+            totalUrls: batch.items.length
+        }
+    });
+}
+
+async function handleGetProcessingStatus(sendResponse) {
+    await batchRestored;
+    
+    const batch = extensionState.batch;
+    const items = batch ? batch.items : [];
+    const inFlight = items.filter(item => item.status === 'processing');
+    
     sendResponse({
         success: true,
         data: {
             isProcessing: extensionState.isProcessing,
-            processedCount: extensionState.processedCount,
-            successCount: extensionState.successCount,
-            errorCount: extensionState.errorCount,
-            totalUrls: extensionState.currentBatch.length,
+            batchId: batch ? batch.id : null,
+            status: batch ? batch.status : 'idle',
+            source: batch ? batch.source : null,
+            resumed: !!(batch && batch.resumedAt),
+            isPaused: !!(batch && batch.status === 'paused'),
+            processedCount: countFinishedItems(batch),
+            successCount: items.filter(item => item.status === 'success').length,
+            errorCount: items.filter(item => item.status === 'failed').length,
+            totalUrls: items.length,
+            currentUrl: inFlight.length > 0 ? inFlight[0].url : null,
+            currentUrls: inFlight.map(item => item.url),
             activeTabs: extensionState.activeTabs.size,
-            startTime: extensionState.processingStartTime
+            startTime: batch ? batch.startTime : null
         }
     });
 }
 
 function resetState() {
     extensionState.isProcessing = false;
-    extensionState.currentBatch = [];
-    extensionState.processedCount = 0;
-    extensionState.successCount = 0;
-    extensionState.errorCount = 0;
+    extensionState.batch = null;
+    extensionState.batchRun = null;
     extensionState.activeTabs.clear();
-    extensionState.processingStartTime = null;
 }
 
+// ====================
+// BATCH PERSISTENCE
+// ====================
+
+// Canonicalize and dedupe so each profile is scraped once per batch
+function dedupeProfileUrls(urls) {
+    return [...new Set(urls.map(url => LinkedInUrl.canonicalizeProfileUrl(url) || url))];
+}
+
+function createBatch(urls, { source = 'manual', refreshWindow = null } = {}) {
+    return {
+        id: `batch-${Date.now()}`,
+        status: 'running',
+        source, // manual | scheduled | single
+        refreshWindow, // { start, end } for scheduled batches
+        items: urls.map(url => ({
+            url,
+            status: 'pending', // pending | processing | success | failed | skipped
+            attempts: 0,
+            tabId: null,
+            error: null
+        })),
+        startTime: Date.now(),
+        endTime: null,
+        pausedAt: null,
+        resumedAt: null,
+        updatedAt: Date.now()
+    };
+}
+
+function countFinishedItems(batch) {
+    if (!batch) return 0;
+    return batch.items.filter(item => ['success', 'failed', 'skipped'].includes(item.status)).length;
+}
+
+function buildBatchResults(batch) {
+    const results = {
+        status: batch.status,
+        successful: [],
+        failed: [],
+        skipped: [],
+        summary: {
+            total: batch.items.length,
+            success: 0,
+            created: 0,
+            updated: 0,
+            unchanged: 0,
+            queued: 0,
+            errors: 0,
+            duplicates: 0,
+            startTime: batch.startTime,
+            endTime: null
+        }
+    };
+    
+    batch.items.forEach(item => {
+        if (item.status === 'success') {
+            results.successful.push({
+                url: item.url,
+                action: item.action,
+                profile: item.profile,
+                profileId: item.profileId
+            });
+            results.summary.success++;
+            results.summary[item.action]++;
+        } else if (item.status === 'skipped') {
+            results.skipped.push({ url: item.url, reason: 'duplicate', error: item.error });
+            results.summary.duplicates++;
+        } else if (item.status === 'failed') {
+            results.failed.push({ url: item.url, error: item.error });
+            results.summary.errors++;
+        }
+    });
+    
+    results.summary.endTime = Date.now();
+    results.summary.processingTime = results.summary.endTime - results.summary.startTime;
+    
+    return results;
+}
+
+async function persistBatchState(batch = extensionState.batch) {
+    if (!batch) return;
+    
+    try {
+        batch.updatedAt = Date.now();
+        await chrome.storage.local.set({ [BATCH_STORAGE_KEY]: batch });
+    } catch (error) {
+        console.error('❌ Failed to persist batch state:', error);
+    }
+}
+
+async function clearBatchState() {
+    await chrome.storage.local.remove(BATCH_STORAGE_KEY);
+}
+
+// Pick up a batch that was running when the service worker was suspended
+async function restorePersistedBatch() {
+    try {
+        const storage = await chrome.storage.local.get([BATCH_STORAGE_KEY]);
+        const batch = storage[BATCH_STORAGE_KEY];
+        
+        if (!batch || !['running', 'paused'].includes(batch.status) || extensionState.isProcessing) {
+            return;
+        }
+        
+        for (const item of batch.items) {
+            // Tabs opened by the previous worker instance are orphaned now
+            if (item.tabId) {
+                await closeTab(item.tabId);
+                item.tabId = null;
+            }
+            
+            // URLs that were in flight are retried unless they used up their attempts
+            if (item.status === 'processing') {
+                if (item.attempts >= CONFIG.MAX_RETRIES) {
+                    item.status = 'failed';
+                    item.error = `Interrupted after ${item.attempts} attempts`;
+                } else {
+                    item.status = 'pending';
+                }
+            }
+        }
+        
+        // Paused batches wait for an explicit resume
+        if (batch.status === 'paused') {
+            extensionState.batch = batch;
+            await persistBatchState(batch);
+            console.log(`⏸️ Restored paused batch ${batch.id}: ${countFinishedItems(batch)}/${batch.items.length} processed`);
+            return;
+        }
+        
+        batch.resumedAt = Date.now();
+        extensionState.batch = batch;
+        extensionState.isProcessing = true;
+        await persistBatchState(batch);
+        
+        console.log(`♻️ Resuming batch ${batch.id}: ${countFinishedItems(batch)}/${batch.items.length} already processed`);
+        
+        // Runs in the background; the popup follows along via progress messages
+        runBatch().catch(error => {
+            console.error('❌ Resumed batch processing failed:', error);
+            showNotification('error', 'Batch processing failed: ' + error.message);
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to restore batch state:', error);
+    }
+}
+
+const batchRestored = restorePersistedBatch();
+
 // ====================
 // STATISTICS
 // ====================
@@ -939,6 +2226,93 @@ async function handleResetStatistics(sendResponse) {
     }
 }
 
+// ====================
+// SCHEDULED REFRESH
+// ====================
+
+// Periodically pull stale profiles from the backend and re-scrape them as a
+// regular batch, but only inside the configured time window
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CONFIG.REFRESH_ALARM) {
+        runScheduledRefresh().catch(error => {
+            console.error('❌ Scheduled refresh failed:', error);
+        });
+    }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settings) {
+        scheduleRefreshAlarm();
+    }
+});
+
+async function getRefreshSettings() {
+    const storage = await chrome.storage.local.get(['settings']);
+    const settings = storage.settings || {};
+    
+    return { ...DEFAULT_REFRESH_SETTINGS, ...(settings.autoRefresh || {}) };
+}
+
+// Alarms survive worker restarts, so only (re)create when missing or reconfigured
+async function scheduleRefreshAlarm() {
+    try {
+        const settings = await getRefreshSettings();
+        
+        if (!settings.enabled) {
+            await chrome.alarms.clear(CONFIG.REFRESH_ALARM);
+            return;
+        }
+        
+        const periodInMinutes = Math.max(Number(settings.intervalMinutes) || DEFAULT_REFRESH_SETTINGS.intervalMinutes, 1);
+        const existing = await chrome.alarms.get(CONFIG.REFRESH_ALARM);
+        
+        if (!existing || existing.periodInMinutes !== periodInMinutes) {
+            chrome.alarms.create(CONFIG.REFRESH_ALARM, { delayInMinutes: 1, periodInMinutes });
+            console.log(`⏰ Stale profile refresh scheduled every ${periodInMinutes} min`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to schedule stale profile refresh:', error);
+    }
+}
+
+async function runScheduledRefresh() {
+    await batchRestored;
+    
+    const settings = await getRefreshSettings();
+    if (!settings.enabled) return;
+    
+    if (!isWithinTimeWindow(new Date(), settings.windowStart, settings.windowEnd)) {
+        console.log(`🌙 Outside refresh window (${settings.windowStart}-${settings.windowEnd}), skipping`);
+        return;
+    }
+    
+    // Never interrupt a batch the user started or paused
+    if (extensionState.isProcessing || extensionState.batch) {
+        console.log('⏭️ Batch already in progress, skipping scheduled refresh');
+        return;
+    }
+    
+    const staleProfiles = await fetchStaleProfiles(settings);
+    const urls = dedupeProfileUrls(staleProfiles.map(profile => profile.url));
+    
+    if (urls.length === 0) {
+        console.log('✅ No stale profiles to refresh');
+        return;
+    }
+    
+    console.log(`🔄 Refreshing ${urls.length} stale profiles`);
+    
+    extensionState.batch = createBatch(urls, {
+        source: 'scheduled',
+        refreshWindow: { start: settings.windowStart, end: settings.windowEnd }
+    });
+    await persistBatchState();
+    
+    await runBatch();
+}
+
+scheduleRefreshAlarm();
+
 // ====================
 // UTILITY FUNCTIONS
 // ====================
@@ -947,6 +2321,31 @@ function wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Whether `date` falls inside a daily "HH:MM"-"HH:MM" window (may wrap past midnight)
+function isWithinTimeWindow(date, start, end) {
+    const toMinutes = (time) => {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return (hours || 0) * 60 + (minutes || 0);
+    };
+    
+    const now = date.getHours() * 60 + date.getMinutes();
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    
+    if (from === to) return true;
+    return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+// Reject if the promise does not settle within `timeout` ms
+function withTimeout(promise, timeout, message) {
+    let timeoutId;
+    const timer = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(message)), Math.max(timeout, 0));
+    });
+    
+    return Promise.race([promise, timer]).finally(() => clearTimeout(timeoutId));
+}
+
 async function waitForTabComplete(tabId, timeout = CONFIG.TAB_TIMEOUT) {
     return new Promise((resolve, reject) => {
         const timeoutId = setTimeout(() => {
@@ -982,17 +2381,22 @@ async function waitForTabComplete(tabId, timeout = CONFIG.TAB_TIMEOUT) {
     });
 }
 
-function notifyPopupProgress(processed, total, currentUrl) {
+function notifyPopupProgress(batch, currentUrl) {
+    const processed = countFinishedItems(batch);
+    const total = batch.items.length;
+    
+    notifyPopup('progressUpdate', {
+        processed,
+        total,
+        inProgress: batch.items.filter(item => item.status === 'processing').length,
+        currentUrl,
+        progress: Math.round((processed / total) * 100)
+    });
+}
+
+function notifyPopup(action, data) {
     try {
-        chrome.runtime.sendMessage({
-            action: 'progressUpdate',
-            data: {
-                processed,
-                total,
-                currentUrl,
-                progress: Math.round((processed / total) * 100)
-            }
-        }).catch(() => {
+        chrome.runtime.sendMessage({ action, data }).catch(() => {
             // Popup might not be open, ignore error
         });
     } catch (error) {
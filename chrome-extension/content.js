@@ -11,313 +11,585 @@
     
     console.log('🔗 LinkedIn Profile Scraper content script loaded');
 
-    // Add visual indicator when extension is active
-    function addExtensionIndicator() {
-        // Remove existing indicator
-        const existing = document.getElementById('linkedin-scraper-indicator');
-        if (existing) existing.remove();
-        
-        const indicator = document.createElement('div');
-        indicator.id = 'linkedin-scraper-indicator';
-        indicator.innerHTML = `
-            <div style="
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: linear-gradient(135deg, #0077b5 0%, #00a0dc 100%);
-                color: white;
-                padding: 12px 16px;
-                border-radius: 25px;
-                font-size: 13px;
-                font-weight: 600;
-                z-index: 10000;
-                box-shadow: 0 4px 20px rgba(0,119,181,0.4);
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                backdrop-filter: blur(10px);
-                border: 1px solid rgba(255,255,255,0.2);
-                animation: slideInScraper 0.5s ease-out;
-            ">
-                <span style="margin-right: 8px;">🔗</span>
-                LinkedIn Scraper Active
+    // ====================
+    // PROFILE OVERLAY
+    // ====================
+
+    const OVERLAY_ID = 'linkedin-scraper-overlay';
+
+    // Top card fields compared with the stored record. Longer sections are left
+    // out: they are often not rendered yet and would show up as removed.
+    const OVERLAY_COMPARED_FIELDS = {
+        name: 'Name',
+        headline: 'Headline',
+        location: 'Location',
+        followerCount: 'Followers',
+        connectionCount: 'Connections',
+        currentPosition: 'Current position'
+    };
+
+    const OVERLAY_STYLES = `
+        :host { all: initial; }
+        .overlay {
+            position: fixed;
+            top: 72px;
+            right: 20px;
+            width: 280px;
+            z-index: 10000;
+            background: #ffffff;
+            color: #1d2226;
+            border: 1px solid rgba(0, 119, 181, 0.3);
+            border-radius: 12px;
+            box-shadow: 0 4px 20px rgba(0, 119, 181, 0.25);
+            font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            overflow: hidden;
+        }
+        .header {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            width: 100%;
+            padding: 10px 12px;
+            border: none;
+            background: linear-gradient(135deg, #0077b5 0%, #00a0dc 100%);
+            color: white;
+            font: inherit;
+            font-weight: 600;
+            text-align: left;
+            cursor: pointer;
+        }
+        .header .title { flex: 1; }
+        .dot { width: 8px; height: 8px; border-radius: 50%; background: #cccccc; }
+        .dot.stored { background: #57c4a3; }
+        .dot.new { background: #f99b1c; }
+        .dot.offline { background: #e57373; }
+        .overlay.collapsed .body { display: none; }
+        .body { padding: 12px; display: flex; flex-direction: column; gap: 10px; }
+        .status { font-weight: 600; }
+        .muted { color: #666666; font-size: 12px; }
+        button.action {
+            padding: 6px 12px;
+            border: 1px solid #0077b5;
+            border-radius: 16px;
+            background: #0077b5;
+            color: white;
+            font: inherit;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        button.action.secondary { background: white; color: #0077b5; }
+        button.action:disabled { opacity: 0.6; cursor: wait; }
+        .tags { display: flex; flex-wrap: wrap; gap: 4px; }
+        .tag {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+            padding: 2px 8px;
+            border-radius: 10px;
+            background: #e8f3f9;
+            color: #0077b5;
+            font-size: 12px;
+        }
+        .tag button { border: none; background: none; color: inherit; cursor: pointer; padding: 0; font: inherit; }
+        input, textarea {
+            box-sizing: border-box;
+            width: 100%;
+            padding: 6px 8px;
+            border: 1px solid #cccccc;
+            border-radius: 6px;
+            font: inherit;
+            font-size: 12px;
+        }
+        textarea { resize: vertical; min-height: 48px; }
+        .annotations { display: flex; flex-direction: column; gap: 6px; }
+        .annotations[hidden], [hidden] { display: none; }
+        .message { font-size: 12px; color: #c62828; }
+        .message.success { color: #2e7d32; }
+    `;
+
+    let overlay = null; // { host, root, element, refs } while the overlay is on the page
+    let overlayState = null; // What the overlay shows for the current profile
+    let overlayLookup = 0; // Results of a lookup for a profile the user already left are dropped
+
+    function createOverlay() {
+        const host = document.createElement('div');
+        host.id = OVERLAY_ID;
+        
+        // Shadow DOM keeps LinkedIn's styles out of the overlay and ours out of the page
+        const root = host.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>${OVERLAY_STYLES}</style>
+            <div class="overlay">
+                <button class="header" data-ref="toggle">
+                    <span>🔗</span>
+                    <span class="title">LinkedIn Scraper</span>
+                    <span class="dot" data-ref="dot"></span>
+                    <span data-ref="chevron">▾</span>
+                </button>
+                <div class="body">
+                    <div>
+                        <div class="status" data-ref="status"></div>
+                        <div class="muted" data-ref="detail"></div>
+                    </div>
+                    <div class="muted" data-ref="changes"></div>
+                    <button class="action" data-ref="save"></button>
+                    <div class="annotations" data-ref="annotations">
+                        <div class="tags" data-ref="tags"></div>
+                        <input type="text" data-ref="tagInput" placeholder="Add a tag and press Enter" maxlength="50">
+                        <textarea data-ref="notes" placeholder="Notes"></textarea>
+                        <button class="action secondary" data-ref="saveNotes">Save notes</button>
+                    </div>
+                    <div class="message" data-ref="message"></div>
+                </div>
             </div>
-            <style>
-                @keyframes slideInScraper {
-                    from { transform: translateX(100%); opacity: 0; }
-                    to { transform: translateX(0); opacity: 1; }
-                }
-            </style>
         `;
-        document.body.appendChild(indicator);
-        
-        // Remove after 4 seconds
-        setTimeout(() => {
-            const el = document.getElementById('linkedin-scraper-indicator');
-            if (el) {
-                el.style.animation = 'slideInScraper 0.5s ease-out reverse';
-                setTimeout(() => el.remove(), 500);
+        
+        const refs = {};
+        root.querySelectorAll('[data-ref]').forEach(el => {
+            refs[el.dataset.ref] = el;
+        });
+        
+        refs.toggle.addEventListener('click', () => setOverlayCollapsed(!overlay.element.classList.contains('collapsed')));
+        refs.save.addEventListener('click', saveFromOverlay);
+        refs.saveNotes.addEventListener('click', () => saveAnnotations({ notes: refs.notes.value }));
+        refs.tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && refs.tagInput.value.trim()) {
+                saveAnnotations({ tags: [...overlayState.profile.tags, refs.tagInput.value] });
             }
-        }, 4000);
+        });
+        refs.tags.addEventListener('click', (e) => {
+            const tag = e.target.dataset.removeTag;
+            if (tag !== undefined) {
+                saveAnnotations({ tags: overlayState.profile.tags.filter(t => t !== tag) });
+            }
+        });
+        
+        document.body.appendChild(host);
+        overlay = { host, root, element: root.querySelector('.overlay'), refs };
+        
+        // Collapsed or not is remembered across profiles and page loads
+        chrome.storage.local.get(['overlayCollapsed'])
+            .then(({ overlayCollapsed }) => {
+                if (overlay && overlayCollapsed) {
+                    overlay.element.classList.add('collapsed');
+                    overlay.refs.chevron.textContent = '▸';
+                }
+            })
+            .catch(() => {});
     }
 
-    // LinkedIn Profile Extraction Function
-    function extractLinkedInProfile() {
-        try {
-            console.log('🔍 Starting LinkedIn profile extraction...');
-            
-            const profileData = {
-                name: '',
-                about: '',
-                bio: '',
-                location: '',
-                followerCount: 0,
-                connectionCount: 0,
-                bioLine: '',
-                headline: '',
-                industry: '',
-                profilePicture: '',
-                experience: [],
-                education: [],
-                skills: [],
-                extractionStatus: 'success'
-            };
+    function setOverlayCollapsed(collapsed) {
+        overlay.element.classList.toggle('collapsed', collapsed);
+        overlay.refs.chevron.textContent = collapsed ? '▸' : '▾';
+        chrome.storage.local.set({ overlayCollapsed: collapsed }).catch(() => {});
+    }
 
-            // Extract name with multiple selectors
-            const nameSelectors = [
-                'h1.text-heading-xlarge.inline.t-24.v-align-middle.break-words',
-                'h1.text-heading-xlarge',
-                '.pv-text-details__left-panel h1',
-                '.ph5 h1',
-                '[data-generated-suggestion-target] h1',
-                'h1[aria-label]'
-            ];
-            
-            for (const selector of nameSelectors) {
-                const element = document.querySelector(selector);
-                if (element && element.textContent.trim()) {
-                    profileData.name = element.textContent.trim();
-                    console.log('✅ Name extracted:', profileData.name);
-                    break;
-                }
-            }
+    // A new profile is loading: drop what the overlay showed for the previous one
+    function resetProfileOverlay(url) {
+        if (!overlay) return;
+        
+        overlayLookup++;
+        overlayState = { url, status: 'loading', profile: null, changedFields: [], busy: false, message: null };
+        renderOverlay();
+    }
 
-            // Extract headline/bio line
-            const headlineSelectors = [
-                '.text-body-medium.break-words',
-                '.pv-text-details__left-panel .text-body-medium',
-                '.ph5 .text-body-medium',
-                '[data-generated-suggestion-target] .text-body-medium',
-                '.pv-text-details__left-panel .text-body-medium.break-words'
-            ];
-            
-            for (const selector of headlineSelectors) {
-                const element = document.querySelector(selector);
-                if (element && element.textContent.trim() && !element.textContent.includes('•')) {
-                    profileData.bioLine = element.textContent.trim();
-                    profileData.headline = element.textContent.trim();
-                    profileData.bio = element.textContent.trim();
-                    console.log('✅ Headline extracted:', profileData.bioLine);
-                    break;
-                }
-            }
+    function removeProfileOverlay() {
+        overlayLookup++;
+        overlayState = null;
+        
+        if (overlay) {
+            overlay.host.remove();
+            overlay = null;
+        }
+    }
 
-            // Extract location
-            const locationSelectors = [
-                '.text-body-small.inline.t-black--light.break-words',
-                '.pv-text-details__left-panel .text-body-small',
-                '.text-body-small:not([aria-hidden])'
-            ];
+    // Look the profile up in the backend and show what it has on it
+    async function showProfileOverlay(url) {
+        if (!overlay || !document.body.contains(overlay.host)) {
+            createOverlay();
+        }
+        
+        resetProfileOverlay(url);
+        const lookup = overlayLookup;
+        
+        let state;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getStoredProfile', data: { url } });
             
-            for (const selector of locationSelectors) {
-                const elements = document.querySelectorAll(selector);
-                for (const element of elements) {
-                    const text = element.textContent.trim();
-                    // Location usually doesn't contain numbers or bullet points
-                    if (text && !text.includes('•') && !text.match(/\d+/) && text.length > 2 && text.length < 100 && !text.includes('connection')) {
-                        profileData.location = text;
-                        console.log('✅ Location extracted:', profileData.location);
-                        break;
-                    }
-                }
-                if (profileData.location) break;
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'No response from the extension');
             }
-
-            // Extract about section
-            const aboutSelectors = [
-                '#about ~ * .inline-show-more-text',
-                '.pv-about-section .pv-shared-text-with-see-more',
-                '[data-generated-suggestion-target] .inline-show-more-text',
-                '.pv-about__summary-text .inline-show-more-text',
-                'section[data-section="summary"] .pv-shared-text-with-see-more'
-            ];
             
-            for (const selector of aboutSelectors) {
-                const element = document.querySelector(selector);
-                if (element && element.textContent.trim().length > profileData.bioLine.length) {
-                    profileData.about = element.textContent.trim();
-                    console.log('✅ About section extracted:', profileData.about.substring(0, 50) + '...');
-                    break;
-                }
-            }
+            const { stored, profile } = response.data;
+            state = {
+                status: stored ? 'stored' : 'new',
+                profile: stored ? { ...profile, tags: profile.tags || [] } : null,
+                changedFields: stored ? await getChangedFields(profile) : []
+            };
+            
+        } catch (error) {
+            console.warn('⚠️ Profile overlay lookup failed:', error.message);
+            state = { status: 'offline', profile: null, changedFields: [] };
+        }
+        
+        if (lookup !== overlayLookup) return;
+        
+        overlayState = { ...overlayState, ...state };
+        renderOverlay();
+    }
 
-            // Extract follower/connection counts
-            const connectionElements = document.querySelectorAll('.t-black--light, .t-normal, .pvs-header__optional-link, .pv-top-card--list-bullet li');
-            for (const element of connectionElements) {
-                const text = element.textContent.trim().toLowerCase();
+    function renderOverlay() {
+        if (!overlay || !overlayState) return;
+        
+        const { refs } = overlay;
+        const { status, profile, changedFields, busy, message } = overlayState;
+        
+        refs.dot.className = `dot ${status}`;
+        refs.status.textContent = {
+            loading: '⏳ Checking the backend...',
+            stored: '✅ Stored',
+            new: '➕ Not stored yet',
+            offline: '⚠️ Backend not reachable'
+        }[status];
+        refs.detail.textContent = status === 'stored' ? `Last scraped ${formatAge(profile.lastUpdated)}` : '';
+        
+        refs.changes.hidden = status !== 'stored';
+        refs.changes.textContent = changedFields.length > 0
+            ? `Changed since then: ${changedFields.join(', ')}`
+            : 'No changes on the top card since then';
+        
+        refs.save.hidden = status === 'loading';
+        refs.save.disabled = busy;
+        refs.save.textContent = busy ? 'Saving...' : status === 'stored' ? '🔄 Refresh stored profile' : '💾 Save profile';
+        
+        refs.annotations.hidden = status !== 'stored';
+        if (status === 'stored') {
+            refs.tags.replaceChildren(...profile.tags.map(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'tag';
+                chip.textContent = tag;
                 
-                if (text.includes('connection') && !text.includes('mutual')) {
-                    const match = text.match(/(\d[\d,]*)/);
-                    if (match) {
-                        profileData.connectionCount = parseInt(match[1].replace(/,/g, ''));
-                        console.log('✅ Connection count extracted:', profileData.connectionCount);
-                    }
-                }
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.title = 'Remove tag';
+                remove.dataset.removeTag = tag;
+                chip.appendChild(remove);
                 
-                if (text.includes('follower')) {
-                    const match = text.match(/(\d[\d,]*)/);
-                    if (match) {
-                        profileData.followerCount = parseInt(match[1].replace(/,/g, ''));
-                        console.log('✅ Follower count extracted:', profileData.followerCount);
-                    }
-                }
+                return chip;
+            }));
+            
+            // Don't clobber notes the user is typing
+            if (overlay.root.activeElement !== refs.notes) {
+                refs.notes.value = profile.notes || '';
             }
+            refs.tagInput.disabled = busy;
+            refs.saveNotes.disabled = busy;
+        }
+        
+        refs.message.hidden = !message;
+        refs.message.className = `message ${message && message.type === 'success' ? 'success' : ''}`;
+        refs.message.textContent = message ? message.text : '';
+    }
 
-            // Extract profile picture
-            const profileImgSelectors = [
-                '.pv-top-card__photo img',
-                '.profile-photo-edit__preview img',
-                '.pv-top-card-profile-picture img'
-            ];
+    // Top card fields on the page that differ from the stored record
+    async function getChangedFields(stored) {
+        let current;
+        try {
+            current = await extractLinkedInProfile();
+        } catch (error) {
+            console.warn('⚠️ Could not read the page for comparison:', error.message);
+            return [];
+        }
+        
+        const position = (profile) => {
+            const [latest] = profile.experience || [];
+            return latest ? [latest.title, latest.company].filter(Boolean).join(' at ') : '';
+        };
+        const values = (profile) => ({
+            name: profile.name,
+            headline: profile.headline || profile.bioLine,
+            location: profile.location,
+            followerCount: profile.followerCount,
+            connectionCount: profile.connectionCount,
+            currentPosition: position(profile)
+        });
+        
+        const before = values(stored);
+        const after = values(current);
+        const normalize = (value) => String(value || '').trim().toLowerCase();
+        
+        // Whatever did not render (empty text, a count of 0) is not a change
+        return Object.keys(OVERLAY_COMPARED_FIELDS)
+            .filter(field => after[field] && normalize(after[field]) !== normalize(before[field]))
+            .map(field => OVERLAY_COMPARED_FIELDS[field]);
+    }
+
+    async function saveFromOverlay() {
+        const { url } = overlayState;
+        updateOverlayState(url, { busy: true, message: null });
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'saveCurrentProfile' });
             
-            for (const selector of profileImgSelectors) {
-                const img = document.querySelector(selector);
-                if (img && img.src && !img.src.includes('data:')) {
-                    profileData.profilePicture = img.src;
-                    console.log('✅ Profile picture extracted');
-                    break;
-                }
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'No response from the extension');
             }
-
-            // Extract experience (basic)
-            const experienceElements = document.querySelectorAll('#experience ~ * .pvs-list__item, .pv-profile-section .pv-entity__summary-info');
-            if (experienceElements.length > 0) {
-                const experience = [];
-                experienceElements.forEach((elem, index) => {
-                    if (index < 5) { // Limit to first 5 experiences
-                        const titleElem = elem.querySelector('.t-bold, .pv-entity__summary-info-v2 .t-16');
-                        const companyElem = elem.querySelector('.t-normal, .pv-entity__secondary-title');
-                        
-                        if (titleElem || companyElem) {
-                            experience.push({
-                                title: titleElem ? titleElem.textContent.trim() : '',
-                                company: companyElem ? companyElem.textContent.trim() : ''
-                            });
-                        }
-                    }
-                });
-                profileData.experience = experience;
-                console.log('✅ Experience extracted:', experience.length, 'entries');
+            
+            if (response.data.action === 'queued') {
+                updateOverlayState(url, { busy: false, message: { type: 'success', text: 'Backend offline - saved to the outbox' } });
+                return;
             }
+            
+            if (!overlayState || overlayState.url !== url) return;
+            
+            await showProfileOverlay(url);
+            updateOverlayState(url, { message: { type: 'success', text: response.data.action === 'created' ? 'Profile saved' : 'Stored profile refreshed' } });
+            
+        } catch (error) {
+            updateOverlayState(url, { busy: false, message: { type: 'error', text: error.message } });
+        }
+    }
 
-            // Extract skills (basic)
-            const skillElements = document.querySelectorAll('#skills ~ * .pvs-list__item .t-bold, .pv-skill-category-entity__name .pv-skill-category-entity__name-text');
-            if (skillElements.length > 0) {
-                const skills = [];
-                skillElements.forEach((elem, index) => {
-                    if (index < 10) { // Limit to first 10 skills
-                        const skillText = elem.textContent.trim();
-                        if (skillText && skillText.length < 50) {
-                            skills.push(skillText);
-                        }
-                    }
-                });
-                profileData.skills = skills;
-                console.log('✅ Skills extracted:', skills.length, 'skills');
+    async function saveAnnotations(annotations) {
+        const { url } = overlayState;
+        updateOverlayState(url, { busy: true, message: null });
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'updateProfileAnnotations',
+                data: { profileId: overlayState.profile.id, ...annotations }
+            });
+            
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'No response from the extension');
             }
-
-            // Validate extracted data
-            if (!profileData.name || !profileData.bioLine) {
-                console.warn('⚠️ Incomplete profile data extracted');
-                profileData.extractionStatus = 'partial';
+            
+            if (annotations.tags && overlay) {
+                overlay.refs.tagInput.value = '';
             }
-
-            console.log('✅ Profile extraction complete:', {
-                name: profileData.name,
-                hasLocation: !!profileData.location,
-                hasBio: !!profileData.bioLine,
-                hasAbout: !!profileData.about,
-                followerCount: profileData.followerCount,
-                connectionCount: profileData.connectionCount,
-                experienceCount: profileData.experience.length,
-                skillsCount: profileData.skills.length
+            
+            const { tags, notes } = response.data;
+            updateOverlayState(url, {
+                busy: false,
+                profile: { ...overlayState.profile, tags, notes },
+                message: annotations.notes !== undefined ? { type: 'success', text: 'Notes saved' } : null
             });
-
-            return profileData;
             
         } catch (error) {
-            console.error('❌ Profile extraction failed:', error);
-            return {
-                name: 'Extraction Failed',
-                bioLine: 'Could not extract profile data',
-                extractionStatus: 'failed',
-                extractionError: error.message
-            };
+            updateOverlayState(url, { busy: false, message: { type: 'error', text: error.message } });
         }
     }
 
+    // Results for a profile the user already navigated away from are dropped
+    function updateOverlayState(url, changes) {
+        if (!overlayState || overlayState.url !== url) return;
+        
+        overlayState = { ...overlayState, ...changes };
+        renderOverlay();
+    }
+
+    function formatAge(date) {
+        const minutes = Math.round((Date.now() - new Date(date).getTime()) / 60000);
+        
+        if (isNaN(minutes)) return 'at an unknown time';
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 60 * 24) return `${Math.round(minutes / 60)} h ago`;
+        
+        const days = Math.round(minutes / (60 * 24));
+        return `${days} day${days === 1 ? '' : 's'} ago`;
+    }
+
+    // Rules the service worker cached from the backend, or null for the bundled ones
+    async function loadCachedRules() {
+        try {
+            const storage = await chrome.storage.local.get(['extractionRules']);
+            return storage.extractionRules ? storage.extractionRules.rules : null;
+        } catch (error) {
+            console.warn('Could not load cached extraction rules, using bundled rules:', error.message);
+            return null;
+        }
+    }
+
+    // Extraction lives in shared/profileExtractor.js (loaded before this script).
+    // Uses the rules the service worker cached from the backend, if any.
+    async function extractLinkedInProfile() {
+        return ProfileExtractor.extractProfile(document, await loadCachedRules());
+    }
+
     // Make function available globally
     window.extractLinkedInProfile = extractLinkedInProfile;
 
-    // Initialize when page loads
-    function initialize() {
-        // Only run on LinkedIn profile pages
-        if (window.location.href.includes('linkedin.com/in/')) {
-            console.log('📊 LinkedIn profile page detected:', window.location.href);
-            addExtensionIndicator();
-            
-            // Log profile information for debugging
-            setTimeout(() => {
-                const nameElement = document.querySelector('h1.text-heading-xlarge, h1[aria-label]');
-                if (nameElement) {
-                    console.log('👤 Profile detected:', nameElement.textContent.trim());
+    // ====================
+    // NAVIGATION
+    // ====================
+
+    const LOCATION_CHANGE_EVENT = 'linkedin-scraper:locationchange'; // Dispatched by navigationHook.js
+    const PROFILE_READY_TIMEOUT = 10000; // How long to wait for the top card after a navigation
+
+    // 'navigate' ({url, isProfile}) on every change of page, then 'profileready'
+    // ({url, timedOut}) once the top card of a profile page has rendered
+    const scraperEvents = new EventTarget();
+
+    let currentPath = null;
+    let topCardWait = null; // { observer, timer } while waiting for a top card
+    let topCardWaitId = 0;
+    let nameSelectors = ProfileExtractor.DEFAULT_RULES.selectors.name; // From the latest cached rules
+
+    // The profile itself, not its /details/ or /recent-activity/ sub-pages
+    function isProfilePath(pathname) {
+        return /^\/in\/[^/]+\/?$/.test(pathname);
+    }
+
+    function handleLocationChange() {
+        // LinkedIn rewrites query strings and hashes without changing the page
+        if (window.location.pathname === currentPath) return;
+        const fromProfile = currentPath !== null && isProfilePath(currentPath);
+        currentPath = window.location.pathname;
+        
+        const url = window.location.href;
+        const isProfile = isProfilePath(currentPath);
+        
+        console.log('🔄 Navigated to:', url);
+        stopWaitingForTopCard();
+        scraperEvents.dispatchEvent(new CustomEvent('navigate', { detail: { url, isProfile } }));
+        
+        if (isProfile) {
+            waitForTopCard(url, fromProfile);
+        }
+    }
+
+    // Coming from another profile, its top card can stay on screen for a moment,
+    // so the card only counts as ready once its name heading is a new element or
+    // shows a new name
+    async function waitForTopCard(url, fromProfile) {
+        const waitId = ++topCardWaitId;
+        const staleName = fromProfile ? findNameHeading(nameSelectors) : null;
+        const staleText = staleName ? staleName.textContent.trim() : null;
+        
+        nameSelectors = ProfileExtractor.resolveRules(await loadCachedRules()).selectors.name;
+        if (waitId !== topCardWaitId) return;
+        
+        const emitReady = (timedOut) => {
+            stopWaitingForTopCard();
+            scraperEvents.dispatchEvent(new CustomEvent('profileready', { detail: { url, timedOut } }));
+        };
+        
+        const isReady = () => {
+            const heading = findNameHeading(nameSelectors);
+            return !!heading && !!heading.textContent.trim() &&
+                (heading !== staleName || heading.textContent.trim() !== staleText);
+        };
+        
+        topCardWait = {
+            observer: new MutationObserver(() => {
+                if (isReady()) emitReady(false);
+            }),
+            // Rather a possibly stale card than none at all
+            timer: setTimeout(() => {
+                if (findNameHeading(nameSelectors)) {
+                    emitReady(true);
+                } else {
+                    stopWaitingForTopCard();
+                    console.warn('⚠️ Profile top card did not render:', url);
                 }
-            }, 2000);
+            }, PROFILE_READY_TIMEOUT)
+        };
+        topCardWait.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        
+        if (isReady()) emitReady(false);
+    }
+
+    function findNameHeading(selectors) {
+        for (const selector of selectors) {
+            const heading = document.querySelector(selector);
+            if (heading) return heading;
         }
+        return null;
+    }
+
+    function stopWaitingForTopCard() {
+        if (!topCardWait) return;
+        
+        topCardWait.observer.disconnect();
+        clearTimeout(topCardWait.timer);
+        topCardWait = null;
     }
 
-    // Run initialization
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initialize);
-    } else {
-        initialize();
+    function startNavigationTracking() {
+        window.addEventListener(LOCATION_CHANGE_EVENT, handleLocationChange);
+        window.addEventListener('popstate', handleLocationChange);
+        handleLocationChange();
     }
 
-    // Handle navigation in SPA (Single Page Application) - Scoped variable
-    let scraperCurrentUrl = window.location.href;
-    const scraperUrlCheckInterval = setInterval(() => {
-        if (window.location.href !== scraperCurrentUrl) {
-            scraperCurrentUrl = window.location.href;
-            console.log('🔄 URL changed to:', scraperCurrentUrl);
-            setTimeout(initialize, 1000); // Delay to allow page to load
+    function stopNavigationTracking() {
+        window.removeEventListener(LOCATION_CHANGE_EVENT, handleLocationChange);
+        window.removeEventListener('popstate', handleLocationChange);
+        stopWaitingForTopCard();
+        topCardWaitId++;
+        currentPath = null;
+    }
+
+    // ====================
+    // INITIALIZATION
+    // ====================
+
+    scraperEvents.addEventListener('navigate', (event) => {
+        if (event.detail.isProfile) {
+            resetProfileOverlay(event.detail.url);
+        } else {
+            removeProfileOverlay();
         }
-    }, 1000);
+    });
 
-    // Clean up interval when page unloads
-    window.addEventListener('beforeunload', () => {
-        clearInterval(scraperUrlCheckInterval);
+    scraperEvents.addEventListener('profileready', (event) => {
+        const heading = findNameHeading(nameSelectors);
+        console.log('👤 Profile ready:', heading ? heading.textContent.trim() : event.detail.url);
+        showProfileOverlay(event.detail.url);
     });
 
+    // Everything is torn down when the page goes away, and set up again if the
+    // browser brings it back from its back/forward cache
+    function startOverlay() {
+        window.addEventListener('pagehide', () => {
+            stopNavigationTracking();
+            removeProfileOverlay();
+        });
+        window.addEventListener('pageshow', (event) => {
+            if (event.persisted) startNavigationTracking();
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', startNavigationTracking, { once: true });
+        } else {
+            startNavigationTracking();
+        }
+    }
+
+    // Tabs a batch opened are scraped by the worker already; an overlay there would
+    // repeat the lookup and extraction for every profile
+    chrome.runtime.sendMessage({ action: 'isManagedTab' })
+        .then(response => Boolean(response && response.success && response.data.managed))
+        .catch(() => false)
+        .then(managed => {
+            if (managed) {
+                console.log('🤖 Tab opened by a batch, no overlay');
+                return;
+            }
+            startOverlay();
+        });
+
     // Listen for messages from popup
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (request.action === 'extractProfile') {
             console.log('📨 Received extraction request from popup');
             
-            try {
-                const profileData = extractLinkedInProfile();
-                sendResponse({ success: true, data: profileData });
-            } catch (error) {
-                console.error('❌ Content script extraction failed:', error);
-                sendResponse({ success: false, error: error.message });
-            }
+            extractLinkedInProfile()
+                .then(profileData => sendResponse({ success: true, data: profileData }))
+                .catch(error => {
+                    console.error('❌ Content script extraction failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
         }
         
         return true; // Keep message channel open for async response
@@ -0,0 +1,17 @@
+// navigationHook.js - Runs in the page's own JavaScript world on LinkedIn pages
+// LinkedIn navigates with history.pushState/replaceState, and content scripts
+// cannot see those calls from their isolated world. This wraps both and
+// announces each call with a DOM event that content.js listens for.
+(function() {
+    'use strict';
+
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = history[method];
+
+        history[method] = function(...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new Event('linkedin-scraper:locationchange'));
+            return result;
+        };
+    });
+})();
@@ -6,10 +6,44 @@ document.addEventListener('DOMContentLoaded', function() {
     const urlList = document.getElementById('urlList');
     const queueCounter = document.getElementById('queueCounter');
     const processBtn = document.getElementById('processBtn');
+    const batchControls = document.getElementById('batchControls');
+    const pauseBtn = document.getElementById('pauseBtn');
+    const resumeBtn = document.getElementById('resumeBtn');
+    const stopBtn = document.getElementById('stopBtn');
     const apiStatusText = document.getElementById('apiStatusText');
     const statusDot = document.getElementById('statusDot');
     const testApiBtn = document.getElementById('testApiBtn');
     const statusContainer = document.getElementById('statusContainer');
+    const outboxSection = document.getElementById('outboxSection');
+    const outboxCount = document.getElementById('outboxCount');
+    const outboxDetail = document.getElementById('outboxDetail');
+    const flushOutboxBtn = document.getElementById('flushOutboxBtn');
+    const saveCurrentBtn = document.getElementById('saveCurrentBtn');
+    const saveResultSection = document.getElementById('saveResultSection');
+    const saveResultTitle = document.getElementById('saveResultTitle');
+    const saveResultSummary = document.getElementById('saveResultSummary');
+    const saveResultList = document.getElementById('saveResultList');
+    const saveResultOpenBtn = document.getElementById('saveResultOpenBtn');
+    const saveResultCloseBtn = document.getElementById('saveResultCloseBtn');
+    const harvestBtn = document.getElementById('harvestBtn');
+    const harvestSection = document.getElementById('harvestSection');
+    const harvestCounter = document.getElementById('harvestCounter');
+    const harvestSummary = document.getElementById('harvestSummary');
+    const harvestList = document.getElementById('harvestList');
+    const harvestAddNewBtn = document.getElementById('harvestAddNewBtn');
+    const harvestAddAllBtn = document.getElementById('harvestAddAllBtn');
+    const harvestCancelBtn = document.getElementById('harvestCancelBtn');
+    const importBtn = document.getElementById('importBtn');
+    const importSection = document.getElementById('importSection');
+    const importText = document.getElementById('importText');
+    const importFile = document.getElementById('importFile');
+    const importSummary = document.getElementById('importSummary');
+    const importIssues = document.getElementById('importIssues');
+    const importCheckBtn = document.getElementById('importCheckBtn');
+    const importAddNewBtn = document.getElementById('importAddNewBtn');
+    const importAddAllBtn = document.getElementById('importAddAllBtn');
+    const importCancelBtn = document.getElementById('importCancelBtn');
+    const browseStoredBtn = document.getElementById('browseStoredBtn');
 
     // Configuration
     const API_BASE_URL = 'http://localhost:3000/api';
@@ -18,6 +52,11 @@ document.addEventListener('DOMContentLoaded', function() {
     // State
     let linkedinUrls = [];
     let isProcessing = false;
+    let isPaused = false;
+    let harvestedProfiles = []; // { url, stored, profileId, name } from the last page harvest
+    let importPreview = null; // analyzeImport() result of the checked import text
+    let savedProfileUrl = null; // Profile shown in the save result, for "Open saved record"
+    let popupWindowId = null; // Window the popup belongs to, for opening the side panel
 
     // Initialize
     init();
@@ -26,6 +65,8 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log('🔄 Initializing LinkedIn Profile Scraper...');
         await checkAPIStatus();
         await loadStoredUrls();
+        await loadProcessingStatus(); // Picks up a batch that kept running while the popup was closed
+        await loadOutboxStatus();
         updateUI();
         setupEventDelegation(); // NEW: Set up event delegation
         console.log('✅ Initialization complete');
@@ -66,19 +107,22 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
-        if (linkedinUrls.includes(url)) {
+        // Queue canonical URLs so variants of the same profile are caught as duplicates
+        const canonicalUrl = normalizeLinkedInUrl(url);
+
+        if (linkedinUrls.includes(canonicalUrl)) {
             showStatus('warning', '⚠️ This URL is already in the queue');
             return;
         }
 
         // Add URL
-        linkedinUrls.push(url);
+        linkedinUrls.push(canonicalUrl);
         urlInput.value = '';
         saveUrls();
         updateUI();
         showStatus('success', `✅ URL added! (${linkedinUrls.length} total)`);
         
-        console.log('📝 URL added:', url);
+        console.log('📝 URL added:', canonicalUrl);
     }
 
     // UPDATED: Remove URL from queue - no longer attached to window
@@ -95,6 +139,525 @@ document.addEventListener('DOMContentLoaded', function() {
 
 
 
+    // ====================
+    // SAVE CURRENT PROFILE
+    // ====================
+
+    const SAVE_RESULT_TITLES = {
+        created: '✅ Saved as a new profile',
+        updated: '🔄 Stored profile updated',
+        unchanged: '✔️ Stored profile already up to date',
+        queued: '📤 Backend offline - waiting in the outbox'
+    };
+
+    const FIELD_LABELS = {
+        name: 'Name',
+        headline: 'Headline',
+        bioLine: 'Bio line',
+        location: 'Location',
+        about: 'About',
+        industry: 'Industry',
+        profilePicture: 'Photo',
+        followerCount: 'Followers',
+        connectionCount: 'Connections',
+        connectionCountIsLowerBound: 'Connections 500+',
+        extractionStatus: 'Status',
+        experience: 'Experience',
+        education: 'Education',
+        skills: 'Skills',
+        certifications: 'Certifications',
+        languages: 'Languages',
+        projects: 'Projects',
+        volunteering: 'Volunteering',
+        honors: 'Honors'
+    };
+
+    saveCurrentBtn.addEventListener('click', saveCurrentProfile);
+    saveResultOpenBtn.addEventListener('click', openSavedRecord);
+    saveResultCloseBtn.addEventListener('click', closeSaveResult);
+
+    // Save the profile open in the active tab, no queue minimum and no new tab
+    async function saveCurrentProfile() {
+        saveCurrentBtn.disabled = true;
+        saveCurrentBtn.textContent = '💾 Saving profile...';
+        
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !isValidLinkedInUrl(tab.url || '')) {
+                throw new Error('Open a LinkedIn profile (linkedin.com/in/username) first');
+            }
+            
+            const response = await chrome.runtime.sendMessage({
+                action: 'saveCurrentProfile',
+                data: { tabId: tab.id }
+            });
+            
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            
+            renderSaveResult(response.data);
+            loadOutboxStatus();
+            
+        } catch (error) {
+            console.error('❌ Saving current profile failed:', error);
+            showStatus('error', '❌ Could not save this profile: ' + error.message);
+        }
+        
+        saveCurrentBtn.disabled = false;
+        saveCurrentBtn.textContent = '💾 Save current profile';
+    }
+
+    function renderSaveResult({ action, url, profile, diff, changedFields }) {
+        savedProfileUrl = url;
+        
+        saveResultTitle.textContent = SAVE_RESULT_TITLES[action] || SAVE_RESULT_TITLES.created;
+        saveResultSummary.textContent = `${profile.name} · ${getShortUrl(url)}`;
+        saveResultOpenBtn.hidden = action === 'queued';
+        
+        let rows;
+        if (action === 'updated' && diff) {
+            saveResultSummary.textContent += ` · ${diff.summary.changedFields.length} fields changed`;
+            rows = getDiffRows(diff);
+        } else if (action === 'updated') {
+            // No history to compare against, only the names of the changed fields
+            rows = changedFields
+                .filter(field => FIELD_LABELS[field])
+                .map(field => [FIELD_LABELS[field], 'changed']);
+        } else {
+            rows = getRecordRows(profile);
+        }
+        
+        saveResultList.innerHTML = rows.map(([label, value]) => `
+            <div class="url-item">
+                <div class="save-field">${escapeHtml(label)}</div>
+                <div class="url-text">${escapeHtml(value)}</div>
+            </div>
+        `).join('');
+        
+        saveResultSection.hidden = false;
+    }
+
+    // The record as the backend stored it (or as extracted, while it waits in the outbox)
+    function getRecordRows(profile) {
+        const connections = profile.connectionCount > 0
+            ? profile.connectionCount + (profile.connectionCountIsLowerBound ? '+' : '')
+            : null;
+        
+        return [
+            [FIELD_LABELS.headline, profile.bioLine || profile.headline],
+            [FIELD_LABELS.location, profile.location],
+            [FIELD_LABELS.followerCount, profile.followerCount > 0 ? profile.followerCount.toLocaleString() : null],
+            [FIELD_LABELS.connectionCount, connections],
+            [FIELD_LABELS.extractionStatus, profile.extractionStatus]
+        ].filter(([, value]) => value);
+    }
+
+    // One row per changed field; list fields summarize their added, removed and changed entries
+    function getDiffRows(diff) {
+        const rows = Object.entries(diff.fields).map(([field, { from, to }]) => [
+            FIELD_LABELS[field] || field,
+            `${formatDiffValue(from)} → ${formatDiffValue(to)}`
+        ]);
+        
+        diff.summary.changedFields
+            .filter(field => !diff.fields[field] && diff[field])
+            .forEach(field => {
+                const { added, removed, changed } = diff[field];
+                const parts = [
+                    ...added.map(entry => `+ ${describeEntry(entry)}`),
+                    ...removed.map(entry => `− ${describeEntry(entry)}`),
+                    ...changed.map(({ to, fields }) => `~ ${describeEntry(to)} (${fields.map(f => f.field).join(', ')})`)
+                ];
+                rows.push([FIELD_LABELS[field] || field, parts.join('; ')]);
+            });
+        
+        return rows;
+    }
+
+    function formatDiffValue(value) {
+        if (value === null || value === undefined || value === '') return '(empty)';
+        const text = String(value);
+        return text.length > 60 ? text.substring(0, 57) + '...' : text;
+    }
+
+    function describeEntry(entry) {
+        if (typeof entry === 'string') return entry;
+        const title = entry.title || entry.name || entry.role || entry.degree;
+        const place = entry.company || entry.school || entry.organization || entry.issuer;
+        return [title, place].filter(Boolean).join(' at ') || '(untitled)';
+    }
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    async function openSavedRecord() {
+        const response = await chrome.runtime.sendMessage({
+            action: 'openSavedProfile',
+            data: { url: savedProfileUrl }
+        });
+        
+        if (!response.success) {
+            showStatus('error', '❌ ' + response.error);
+        }
+    }
+
+    function closeSaveResult() {
+        savedProfileUrl = null;
+        saveResultSection.hidden = true;
+        saveResultList.innerHTML = '';
+    }
+
+    // ====================
+    // STORED PROFILES
+    // ====================
+
+    browseStoredBtn.addEventListener('click', openProfileBrowser);
+
+    // The window is looked up in advance: sidePanel.open() is only allowed during the click itself
+    chrome.windows.getCurrent().then(currentWindow => {
+        popupWindowId = currentWindow.id;
+    });
+
+    async function openProfileBrowser() {
+        try {
+            await chrome.sidePanel.open({ windowId: popupWindowId });
+            window.close();
+        } catch (error) {
+            showStatus('error', '❌ Could not open the side panel: ' + error.message);
+        }
+    }
+
+    // ====================
+    // PAGE HARVEST
+    // ====================
+
+    const HARVEST_LABELS = {
+        new: 'New',
+        stored: 'Stored',
+        queued: 'In queue',
+        unknown: 'Unchecked'
+    };
+
+    harvestBtn.addEventListener('click', harvestCurrentPage);
+    harvestAddNewBtn.addEventListener('click', () => addHarvestedUrls(false));
+    harvestAddAllBtn.addEventListener('click', () => addHarvestedUrls(true));
+    harvestCancelBtn.addEventListener('click', clearHarvest);
+
+    // Collect the profile links on the LinkedIn page open in this window
+    async function harvestCurrentPage() {
+        harvestBtn.disabled = true;
+        harvestBtn.textContent = '🔎 Collecting profiles (following pages)...';
+        
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab) {
+                throw new Error('No active tab');
+            }
+            
+            const response = await chrome.runtime.sendMessage({
+                action: 'harvestProfileLinks',
+                data: { tabId: tab.id }
+            });
+            
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            
+            harvestedProfiles = response.data.profiles;
+            renderHarvest(response.data);
+            
+            if (harvestedProfiles.length === 0) {
+                showStatus('warning', '⚠️ No profile links found on this page');
+            }
+            
+        } catch (error) {
+            console.error('❌ Page harvest failed:', error);
+            showStatus('error', '❌ Could not collect profiles: ' + error.message);
+        }
+        
+        harvestBtn.disabled = false;
+        harvestBtn.textContent = '🔎 Collect profiles on this page';
+    }
+
+    // Profiles the backend could not be asked about are treated as new
+    function getHarvestState(profile) {
+        if (linkedinUrls.includes(profile.url)) return 'queued';
+        if (profile.stored === null) return 'unknown';
+        return profile.stored ? 'stored' : 'new';
+    }
+
+    function renderHarvest({ pages, stoppedBy }) {
+        const counts = { new: 0, stored: 0, queued: 0, unknown: 0 };
+        harvestedProfiles.forEach(profile => counts[getHarvestState(profile)]++);
+        
+        const addable = counts.new + counts.unknown;
+        
+        harvestSection.hidden = harvestedProfiles.length === 0;
+        harvestCounter.textContent = harvestedProfiles.length;
+        harvestSummary.textContent = [
+            `${counts.new} new`,
+            `${counts.stored} already stored`,
+            `${counts.queued} in queue`,
+            counts.unknown > 0 ? `${counts.unknown} unchecked (backend offline)` : null,
+            `${pages} page${pages === 1 ? '' : 's'}` + (stoppedBy === 'end' ? '' : ' (stopped early)')
+        ].filter(Boolean).join(' · ');
+        
+        harvestList.innerHTML = harvestedProfiles.map((profile, index) => {
+            const state = getHarvestState(profile);
+            return `
+                <div class="url-item">
+                    <div class="url-number">${index + 1}</div>
+                    <div class="url-text">${getShortUrl(profile.url)}</div>
+                    <span class="harvest-badge ${state}">${HARVEST_LABELS[state]}</span>
+                </div>
+            `;
+        }).join('');
+        
+        harvestAddNewBtn.textContent = `➕ Add ${addable} new`;
+        harvestAddNewBtn.disabled = addable === 0;
+        // Stored profiles are only re-queued on request, as a refresh
+        harvestAddAllBtn.textContent = `Add all ${addable + counts.stored}`;
+        harvestAddAllBtn.disabled = addable + counts.stored === 0;
+    }
+
+    function addHarvestedUrls(includeStored) {
+        const urls = harvestedProfiles
+            .filter(profile => {
+                const state = getHarvestState(profile);
+                return state === 'new' || state === 'unknown' || (includeStored && state === 'stored');
+            })
+            .map(profile => profile.url);
+        
+        linkedinUrls.push(...urls);
+        saveUrls();
+        updateUI();
+        clearHarvest();
+        showStatus('success', `✅ Added ${urls.length} profiles to the queue (${linkedinUrls.length} total)`);
+        
+        console.log('📝 Harvested URLs added:', urls.length);
+    }
+
+    function clearHarvest() {
+        harvestedProfiles = [];
+        harvestSection.hidden = true;
+        harvestList.innerHTML = '';
+    }
+
+    // ====================
+    // BULK IMPORT
+    // ====================
+
+    const IMPORT_DELIMITERS = [',', ';', '\t'];
+    const MAX_LISTED_INVALID = 5;
+
+    importBtn.addEventListener('click', () => {
+        importSection.hidden = !importSection.hidden;
+        if (!importSection.hidden) importText.focus();
+    });
+    importFile.addEventListener('change', loadImportFile);
+    importText.addEventListener('input', resetImportPreview);
+    importCheckBtn.addEventListener('click', checkImport);
+    importAddNewBtn.addEventListener('click', () => addImportedUrls(false));
+    importAddAllBtn.addEventListener('click', () => addImportedUrls(true));
+    importCancelBtn.addEventListener('click', closeImport);
+
+    async function loadImportFile() {
+        const file = importFile.files[0];
+        importFile.value = '';
+        if (!file) return;
+        
+        if (!/\.(csv|txt)$/i.test(file.name)) {
+            showStatus('error', '❌ Only .csv and .txt files can be imported');
+            return;
+        }
+        
+        importText.value = await file.text();
+        await checkImport();
+    }
+
+    // Rows of cells. The delimiter is whichever of comma, semicolon and tab the
+    // first line uses most (none: one URL per line); quoted cells may contain it
+    function parseDelimitedText(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) return [];
+        
+        const counts = IMPORT_DELIMITERS.map(delimiter => lines[0].split(delimiter).length - 1);
+        const best = Math.max(...counts);
+        const delimiter = best > 0 ? IMPORT_DELIMITERS[counts.indexOf(best)] : null;
+        
+        return lines.map(line => {
+            if (!delimiter) return [line.trim()];
+            
+            const cells = [];
+            let cell = '';
+            let quoted = false;
+            
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (char === '"' && quoted && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = !quoted;
+                } else if (char === delimiter && !quoted) {
+                    cells.push(cell.trim());
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+            cells.push(cell.trim());
+            
+            return cells;
+        });
+    }
+
+    // The column holding the most LinkedIn profile URLs
+    function findUrlColumn(rows) {
+        const width = Math.max(0, ...rows.map(row => row.length));
+        let best = 0;
+        let bestCount = -1;
+        
+        for (let column = 0; column < width; column++) {
+            const count = rows.filter(row => row[column] && isValidLinkedInUrl(row[column])).length;
+            if (count > bestCount) {
+                best = column;
+                bestCount = count;
+            }
+        }
+        
+        return best;
+    }
+
+    // Sort the URL column into valid (canonical, unique, not queued yet), invalid
+    // and duplicate entries. A first row that is not a URL is taken as the header.
+    function analyzeImport(text) {
+        const rows = parseDelimitedText(text);
+        const column = findUrlColumn(rows);
+        const analysis = { column, header: null, valid: [], invalid: [], duplicates: 0, stored: [], unchecked: 0 };
+        const seen = new Set();
+        
+        rows.forEach((row, index) => {
+            const cell = row[column] || '';
+            if (!cell) return;
+            
+            if (!isValidLinkedInUrl(cell)) {
+                if (index === 0 && rows.length > 1) {
+                    analysis.header = cell;
+                } else {
+                    analysis.invalid.push(cell);
+                }
+                return;
+            }
+            
+            const url = normalizeLinkedInUrl(cell);
+            if (seen.has(url) || linkedinUrls.includes(url)) {
+                analysis.duplicates++;
+                return;
+            }
+            
+            seen.add(url);
+            analysis.valid.push(url);
+        });
+        
+        return analysis;
+    }
+
+    async function checkImport() {
+        const analysis = analyzeImport(importText.value);
+        
+        if (analysis.valid.length + analysis.invalid.length + analysis.duplicates === 0) {
+            showStatus('warning', '⚠️ Nothing to import - paste URLs or choose a .csv or .txt file');
+            return;
+        }
+        
+        importCheckBtn.disabled = true;
+        importSummary.textContent = `Checking ${analysis.valid.length} profiles against the backend...`;
+        
+        if (analysis.valid.length > 0) {
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'lookupStoredProfiles',
+                    data: { urls: analysis.valid }
+                });
+                
+                if (!response.success) {
+                    throw new Error(response.error);
+                }
+                
+                analysis.stored = response.data.profiles.filter(profile => profile.stored).map(profile => profile.url);
+                analysis.unchecked = response.data.profiles.filter(profile => profile.stored === null).length;
+                
+            } catch (error) {
+                console.warn('Could not check imported URLs against the backend:', error.message);
+                analysis.unchecked = analysis.valid.length;
+            }
+        }
+        
+        importPreview = analysis;
+        renderImportPreview();
+        importCheckBtn.disabled = false;
+    }
+
+    function renderImportPreview() {
+        const { column, header, valid, invalid, duplicates, stored, unchecked } = importPreview;
+        const fresh = valid.length - stored.length;
+        
+        importSummary.textContent = [
+            `${valid.length} valid` + (stored.length > 0 ? ` (${stored.length} already stored)` : ''),
+            `${invalid.length} invalid`,
+            `${duplicates} duplicate${duplicates === 1 ? '' : 's'}`,
+            unchecked > 0 ? `${unchecked} unchecked (backend offline)` : null,
+            header ? `column "${header}"` : `column ${column + 1}`
+        ].filter(Boolean).join(' · ');
+        
+        importIssues.textContent = invalid.length > 0
+            ? 'Invalid: ' + invalid.slice(0, MAX_LISTED_INVALID).join(', ') + (invalid.length > MAX_LISTED_INVALID ? ', ...' : '')
+            : '';
+        
+        importAddNewBtn.hidden = false;
+        importAddNewBtn.textContent = `➕ Add ${fresh} new`;
+        importAddNewBtn.disabled = fresh === 0;
+        // Stored profiles are only re-queued on request, as a refresh
+        importAddAllBtn.hidden = stored.length === 0;
+        importAddAllBtn.textContent = `Add all ${valid.length}`;
+    }
+
+    function resetImportPreview() {
+        importPreview = null;
+        importSummary.textContent = '';
+        importIssues.textContent = '';
+        importAddNewBtn.hidden = true;
+        importAddAllBtn.hidden = true;
+    }
+
+    function addImportedUrls(includeStored) {
+        // The queue may have changed since the check
+        const urls = importPreview.valid.filter(url =>
+            (includeStored || !importPreview.stored.includes(url)) && !linkedinUrls.includes(url)
+        );
+        
+        linkedinUrls.push(...urls);
+        saveUrls();
+        updateUI();
+        closeImport();
+        showStatus('success', `✅ Imported ${urls.length} profiles (${linkedinUrls.length} in queue)`);
+        
+        console.log('📝 Imported URLs added:', urls.length);
+    }
+
+    function closeImport() {
+        importText.value = '';
+        resetImportPreview();
+        importSection.hidden = true;
+    }
+
     // ====================
     // BATCH PROCESSING (Uses Background Script)
     // ====================
@@ -131,12 +694,22 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             });
             
+            if (response.success && response.data.status === 'paused') {
+                // Paused from the popup; the batch stays queued in the background
+                isProcessing = false;
+                isPaused = true;
+                updateUI();
+                return;
+            }
+            
             if (response.success) {
                 console.log('✅ Batch processing completed:', response.data.summary);
                 
                 const { summary } = response.data;
+                const queuedText = summary.queued > 0 ? `, ${summary.queued} queued offline` : '';
                 showStatus('success', 
-                    `🎉 Batch complete! ${summary.success}/${summary.total} profiles processed successfully`
+                    `🎉 Batch complete! ${summary.success}/${summary.total} profiles processed successfully ` +
+                    `(${summary.created} new, ${summary.updated} updated, ${summary.unchanged} unchanged${queuedText})`
                 );
                 
                 // Clear queue after successful processing
@@ -150,6 +723,12 @@ document.addEventListener('DOMContentLoaded', function() {
             }
             
         } catch (error) {
+            // The service worker may have been suspended mid-batch; it resumes on its own
+            await loadProcessingStatus();
+            if (isProcessing) {
+                return;
+            }
+            
             console.error('❌ Batch processing failed:', error);
             showStatus('error', '❌ Batch processing failed: ' + error.message);
         }
@@ -175,9 +754,62 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         isProcessing = false;
+        isPaused = false;
         updateUI();
     }
 
+    pauseBtn.addEventListener('click', pauseBatchProcessing);
+    resumeBtn.addEventListener('click', resumeBatchProcessing);
+    stopBtn.addEventListener('click', stopBatchProcessing);
+
+    async function pauseBatchProcessing() {
+        console.log('⏸️ Pausing batch processing');
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'pauseBatchProcessing'
+            });
+            
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            
+            const { processedCount, totalUrls } = response.data;
+            isProcessing = false;
+            isPaused = true;
+            updateUI();
+            showStatus('info', `⏸️ Batch paused: ${processedCount}/${totalUrls} done (current profile will finish)`);
+            
+        } catch (error) {
+            console.error('❌ Failed to pause processing:', error);
+            showStatus('error', '❌ Failed to pause: ' + error.message);
+        }
+    }
+
+    async function resumeBatchProcessing() {
+        console.log('▶️ Resuming batch processing');
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'resumeBatchProcessing'
+            });
+            
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            
+            isPaused = false;
+            isProcessing = true;
+            updateUI();
+            showStatus('info', '▶️ Batch resumed');
+            await loadProcessingStatus();
+            
+        } catch (error) {
+            console.error('❌ Failed to resume processing:', error);
+            showStatus('error', '❌ Failed to resume: ' + error.message);
+        }
+    }
+
     // ====================
     // PROGRESS MONITORING
     // ====================
@@ -187,17 +819,46 @@ document.addEventListener('DOMContentLoaded', function() {
         if (message.action === 'progressUpdate') {
             updateProgress(message.data);
         }
+        
+        // Sent when a batch finishes, including batches resumed after a worker restart
+        if (message.action === 'batchCompleted') {
+            handleBatchCompleted(message.data);
+        }
+        
+        if (message.action === 'outboxUpdated') {
+            renderOutboxStatus(message.data);
+        }
+        
+        if (message.action === 'batchPaused') {
+            isProcessing = false;
+            isPaused = true;
+            updateUI();
+        }
     });
 
+    async function handleBatchCompleted({ summary }) {
+        isProcessing = false;
+        isPaused = false;
+        await loadStoredUrls();
+        updateUI();
+        
+        showStatus('success', 
+            `🎉 Batch complete! ${summary.success}/${summary.total} profiles processed successfully`
+        );
+    }
+
     function updateProgress(progressData) {
-        const { processed, total, currentUrl, progress } = progressData;
+        const { processed, total, currentUrl, progress, inProgress = 0 } = progressData;
+        const tabsText = inProgress > 1 ? ` · ${inProgress} tabs` : '';
         
         processBtn.innerHTML = `
             <span class="loading"></span>
-            Processing ${processed}/${total} (${progress}%)
+            Processing ${processed}/${total} (${progress}%)${tabsText}
         `;
         
-        showStatus('info', `🔄 Processing: ${getShortUrl(currentUrl)} (${processed}/${total})`);
+        if (currentUrl) {
+            showStatus('info', `🔄 Processing: ${getShortUrl(currentUrl)} (${processed}/${total} done${tabsText})`);
+        }
     }
 
     async function loadProcessingStatus() {
@@ -208,10 +869,33 @@ document.addEventListener('DOMContentLoaded', function() {
             
             if (response.success) {
                 const status = response.data;
+                const wasProcessing = isProcessing;
+                const wasPaused = isPaused;
                 isProcessing = status.isProcessing;
+                isPaused = Boolean(status.isPaused);
                 
-                if (isProcessing) {
-                    showStatus('info', `🔄 Processing in progress: ${status.processedCount}/${status.totalUrls}`);
+                if (isPaused) {
+                    updateUI();
+                    if (!wasPaused) {
+                        showStatus('info', `⏸️ Batch paused: ${status.processedCount}/${status.totalUrls} done`);
+                    }
+                } else if (isProcessing) {
+                    updateUI();
+                    updateProgress({
+                        processed: status.processedCount,
+                        total: status.totalUrls,
+                        currentUrl: status.currentUrl,
+                        inProgress: status.currentUrls ? status.currentUrls.length : 0,
+                        progress: Math.round((status.processedCount / status.totalUrls) * 100)
+                    });
+                    
+                    if (!wasProcessing) {
+                        const prefix = status.source === 'scheduled' ? '⏰ Refreshing stale profiles' :
+                            status.resumed ? '♻️ Resumed batch' : '🔄 Processing in progress';
+                        showStatus('info', `${prefix}: ${status.processedCount}/${status.totalUrls} done`);
+                    }
+                } else if (wasProcessing || wasPaused) {
+                    updateUI();
                 }
             }
             
@@ -256,6 +940,69 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // ====================
+    // OFFLINE OUTBOX
+    // ====================
+
+    flushOutboxBtn.addEventListener('click', flushOutbox);
+
+    async function loadOutboxStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getOutboxStatus'
+            });
+            
+            if (response.success) {
+                renderOutboxStatus(response.data);
+            }
+            
+        } catch (error) {
+            console.warn('Could not load outbox status:', error.message);
+        }
+    }
+
+    function renderOutboxStatus(outbox) {
+        outboxSection.hidden = outbox.pending === 0;
+        outboxCount.textContent = outbox.pending;
+        
+        if (outbox.flushing) {
+            outboxDetail.textContent = 'Sending...';
+        } else if (outbox.nextAttemptAt) {
+            const nextRetry = new Date(outbox.nextAttemptAt).toLocaleTimeString();
+            outboxDetail.textContent = `Next retry ${nextRetry}` + (outbox.lastError ? ` · ${outbox.lastError}` : '');
+        } else {
+            outboxDetail.textContent = outbox.lastError || '';
+        }
+    }
+
+    async function flushOutbox() {
+        flushOutboxBtn.disabled = true;
+        outboxDetail.textContent = 'Sending...';
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'flushOutbox'
+            });
+            
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            
+            const { flushed, rejected, outbox } = response.data;
+            renderOutboxStatus(outbox);
+            showStatus('success', 
+                `📤 Saved ${flushed} queued profiles` + (rejected.length > 0 ? ` (${rejected.length} rejected)` : '')
+            );
+            
+        } catch (error) {
+            console.error('❌ Outbox flush failed:', error);
+            showStatus('error', '❌ Could not flush queued saves: ' + error.message);
+            await loadOutboxStatus();
+        }
+        
+        flushOutboxBtn.disabled = false;
+    }
+
     // ====================
     // STATISTICS
     // ====================
@@ -287,32 +1034,11 @@ document.addEventListener('DOMContentLoaded', function() {
     // ====================
 
     function isValidLinkedInUrl(url) {
-        try {
-            if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                url = 'https://' + url;
-            }
-            
-            const urlObj = new URL(url);
-            return urlObj.hostname.includes('linkedin.com') && 
-                   urlObj.pathname.includes('/in/');
-        } catch {
-            return false;
-        }
+        return LinkedInUrl.isProfileUrl(url);
     }
 
     function normalizeLinkedInUrl(url) {
-        try {
-            if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                url = 'https://' + url;
-            }
-            
-            const urlObj = new URL(url);
-            let cleanPath = urlObj.pathname.replace(/\/$/, '');
-            
-            return `https://www.linkedin.com${cleanPath}`;
-        } catch {
-            return url;
-        }
+        return LinkedInUrl.canonicalizeProfileUrl(url) || url;
     }
 
     function getShortUrl(url) {
@@ -331,10 +1057,17 @@ document.addEventListener('DOMContentLoaded', function() {
         queueCounter.textContent = linkedinUrls.length;
 
         // Update process button
-        const canProcess = linkedinUrls.length >= MIN_URLS_REQUIRED && !isProcessing;
+        const canProcess = linkedinUrls.length >= MIN_URLS_REQUIRED && !isProcessing && !isPaused;
         processBtn.disabled = !canProcess;
         
-        if (!isProcessing) {
+        // Batch controls only apply while a batch is running or paused
+        batchControls.hidden = !isProcessing && !isPaused;
+        pauseBtn.hidden = !isProcessing;
+        resumeBtn.hidden = !isPaused;
+        
+        if (isPaused) {
+            processBtn.innerHTML = `<span class="btn-icon">⏸️</span>Batch paused - resume or stop to continue`;
+        } else if (!isProcessing) {
             if (linkedinUrls.length < MIN_URLS_REQUIRED) {
                 processBtn.innerHTML = `<span class="btn-icon">🚀</span>Process All Links (${MIN_URLS_REQUIRED - linkedinUrls.length} more needed)`;
             } else {
@@ -406,7 +1139,8 @@ document.addEventListener('DOMContentLoaded', function() {
     async function loadStoredUrls() {
         try {
             const result = await chrome.storage.local.get(['linkedinUrls']);
-            linkedinUrls = result.linkedinUrls || [];
+            // Older versions stored URLs as typed - canonicalize and drop duplicates
+            linkedinUrls = [...new Set((result.linkedinUrls || []).map(normalizeLinkedInUrl))];
             console.log('📂 Loaded stored URLs:', linkedinUrls.length);
         } catch (error) {
             console.error('❌ Failed to load stored URLs:', error);
@@ -414,6 +1148,14 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // The context menu and keyboard shortcuts queue profiles from the background
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.linkedinUrls) {
+            linkedinUrls = changes.linkedinUrls.newValue || [];
+            updateUI();
+        }
+    });
+
     // ====================
     // PERIODIC STATUS UPDATES
     // ====================
@@ -0,0 +1,85 @@
+// linkedinUrl.js - Canonical LinkedIn profile URLs
+// Shared by the extension (popup, service worker) and the backend (via require),
+// so both sides agree on what counts as "the same profile".
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LinkedInUrl = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const CANONICAL_ORIGIN = 'https://www.linkedin.com';
+
+    function safeDecode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch {
+            return value;
+        }
+    }
+
+    // Parse any LinkedIn profile URL variant into its public identifier and canonical URL.
+    // Handles missing protocol, http, country subdomains (de.linkedin.com), trailing
+    // slashes, query strings (?trk=...), fragments, sub-pages (/details/experience/),
+    // letter case and URL-encoded vanity names. Returns null for non-profile URLs.
+    function parseProfileUrl(url) {
+        if (!url || typeof url !== 'string') return null;
+
+        let value = url.trim();
+        if (!/^https?:\/\//i.test(value)) {
+            value = 'https://' + value.replace(/^\/+/, '');
+        }
+
+        let urlObj;
+        try {
+            urlObj = new URL(value);
+        } catch {
+            return null;
+        }
+
+        const hostname = urlObj.hostname.toLowerCase();
+        if (hostname !== 'linkedin.com' && !hostname.endsWith('.linkedin.com')) {
+            return null;
+        }
+
+        const segments = urlObj.pathname.split('/').filter(Boolean);
+        const inIndex = segments.findIndex(segment => segment.toLowerCase() === 'in');
+        if (inIndex === -1 || !segments[inIndex + 1]) {
+            return null;
+        }
+
+        const publicIdentifier = safeDecode(segments[inIndex + 1]).trim().toLowerCase();
+        if (!publicIdentifier) {
+            return null;
+        }
+
+        return {
+            publicIdentifier,
+            canonicalUrl: `${CANONICAL_ORIGIN}/in/${encodeURIComponent(publicIdentifier)}`
+        };
+    }
+
+    function canonicalizeProfileUrl(url) {
+        const parsed = parseProfileUrl(url);
+        return parsed ? parsed.canonicalUrl : null;
+    }
+
+    function getPublicIdentifier(url) {
+        const parsed = parseProfileUrl(url);
+        return parsed ? parsed.publicIdentifier : null;
+    }
+
+    function isProfileUrl(url) {
+        return parseProfileUrl(url) !== null;
+    }
+
+    return {
+        CANONICAL_ORIGIN,
+        parseProfileUrl,
+        canonicalizeProfileUrl,
+        getPublicIdentifier,
+        isProfileUrl
+    };
+});
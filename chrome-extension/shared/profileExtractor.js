@@ -0,0 +1,1414 @@
+// profileExtractor.js - The one LinkedIn profile extractor
+// Injected into profile pages (content script and extractProfileFromTab) and loaded
+// by the service worker and the backend for the output and rules schemas.
+// Selectors ship here as the bundled rules; newer versions can be published
+// through the backend (GET /api/extraction-rules) without repackaging.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ProfileExtractor = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Declared output schema: every extraction returns exactly these fields
+    const PROFILE_SCHEMA = {
+        name: { type: 'string', default: '' },
+        headline: { type: 'string', default: '' },
+        bioLine: { type: 'string', default: '' },
+        bio: { type: 'string', default: '' },
+        about: { type: 'string', default: '' },
+        location: { type: 'string', default: '' },
+        industry: { type: 'string', default: '' },
+        profilePicture: { type: 'string', default: '' },
+        followerCount: { type: 'number', default: 0 },
+        connectionCount: { type: 'number', default: 0 },
+        connectionCountIsLowerBound: { type: 'boolean', default: false },
+        experience: { type: 'array', default: [] },
+        education: { type: 'array', default: [] },
+        skills: { type: 'array', default: [] },
+        certifications: { type: 'array', default: [] },
+        languages: { type: 'array', default: [] },
+        projects: { type: 'array', default: [] },
+        volunteering: { type: 'array', default: [] },
+        honors: { type: 'array', default: [] },
+        extractionStatus: { type: 'string', default: 'success', enum: ['success', 'partial', 'failed'] },
+        extractionError: { type: 'string', default: null, optional: true },
+        extractedAt: { type: 'string', default: null },
+        extractionMeta: { type: 'object', default: null, optional: true }
+    };
+
+    const LIMITS = {
+        experience: 50,
+        descriptionLength: 2000,
+        education: 20,
+        certifications: 30,
+        languages: 20,
+        projects: 20,
+        volunteering: 20,
+        honors: 20,
+        skills: 15,
+        maxConnections: 30000, // LinkedIn's own cap on 1st-degree connections; anything above is a mis-parse
+        maxFollowers: 1000000000, // Above any real account; guards against run-together numbers
+        preparationBudgetMs: 15000, // Total time preparePage may spend scrolling and expanding
+        preparationQuietMs: 600, // DOM silence that counts as "finished rendering"
+        maxExpanders: 40,
+        diagnosticsHtmlLength: 50000, // Cap on the sanitized top card markup in a failure bundle
+        harvestMaxPages: 10, // Result pages harvestProfileLinks follows ("Next" or "Show more results")
+        harvestBudgetMs: 60000,
+        harvestPageTimeoutMs: 8000 // How long to wait for the next page's results to render
+    };
+
+    // Selector lists are tried in order; single strings are used with querySelectorAll
+    const SELECTORS = {
+        name: [
+            'h1.text-heading-xlarge.inline.t-24.v-align-middle.break-words',
+            'h1.text-heading-xlarge',
+            '.pv-text-details__left-panel h1',
+            '.ph5 h1',
+            '[data-generated-suggestion-target] h1',
+            'h1[aria-label]'
+        ],
+        headline: [
+            '.text-body-medium.break-words',
+            '.pv-text-details__left-panel .text-body-medium',
+            '.ph5 .text-body-medium',
+            '[data-generated-suggestion-target] .text-body-medium'
+        ],
+        location: [
+            '.text-body-small.inline.t-black--light.break-words',
+            '.pv-text-details__left-panel .text-body-small'
+        ],
+        about: [
+            '#about ~ * .inline-show-more-text',
+            '.pv-about-section .pv-shared-text-with-see-more',
+            '.pv-about__summary-text .inline-show-more-text',
+            'section[data-section="summary"] .pv-shared-text-with-see-more'
+        ],
+        connectionCount: [
+            'a[href*="/search/results/people/?network=%5B%22F%22%5D"] .t-black--light .t-bold',
+            'a[href*="search/results/people"] .t-black--light',
+            '.pv-top-card--list-bullet li:first-child .t-black--light',
+            '.pv-top-card__connections .t-black--light',
+            '.pv-top-card--list .pv-top-card--list-bullet li .t-black--light'
+        ],
+        followerCount: [
+            'a[href*="/followers/"] .t-black--light .t-bold',
+            'a[href*="followers"] .t-black--light',
+            '.pv-top-card--list-bullet li:last-child .t-black--light',
+            '.pv-top-card__followers .t-black--light'
+        ],
+        countFallback: '.t-black--light, .t-normal, .pv-top-card--list-bullet li',
+        connectionLinks: 'a[href*="search/results/people"], a[href*="network"]',
+        followerLinks: 'a[href*="followers"]',
+        profilePicture: [
+            '.pv-top-card__photo img',
+            '.profile-photo-edit__preview img',
+            '.pv-top-card-profile-picture img'
+        ],
+        detailsPageItems: 'main section .pvs-list__paged-list-item, main section li.artdeco-list__item',
+        experienceItems: '#experience ~ * .pvs-list__item, #experience ~ * li.artdeco-list__item, [data-section="experience"] .pvs-list__item',
+        experienceShowAll: '#navigation-index-see-all-experiences, #experience ~ * a[href*="/details/experience"]',
+        experienceTitle: ['.t-bold', '.mr1.t-bold', '.pvs-entity__caption-wrapper .t-bold'],
+        experienceCompany: ['.t-14.t-normal:not(.t-black--light)', '.pvs-entity__caption-wrapper .t-14'],
+        experienceCaption: '.t-14.t-normal.t-black--light',
+        experienceDescription: ['.inline-show-more-text', '.pv-shared-text-with-see-more'],
+        educationItems: '#education ~ * .pvs-list__item, #education ~ * li.artdeco-list__item, [data-section="education"] .pvs-list__item',
+        educationShowAll: '#navigation-index-see-all-education, #education ~ * a[href*="/details/education"]',
+        educationSchool: ['.t-bold', '.mr1.t-bold'],
+        educationDegree: ['.t-14.t-normal:not(.t-black--light)'],
+        educationDates: '.t-14.t-normal.t-black--light',
+        educationExtras: '.pvs-entity__sub-components li, .inline-show-more-text',
+        skillItems: '#skills ~ * .pvs-list__item .t-bold, [data-section="skills"] .t-bold',
+        entityTitle: ['.t-bold', '.mr1.t-bold'],
+        entitySubtitle: ['.t-14.t-normal:not(.t-black--light)'],
+        entityCaption: '.t-14.t-normal.t-black--light',
+        entityDescription: ['.inline-show-more-text', '.pv-shared-text-with-see-more'],
+        certificationsItems: '#licenses_and_certifications ~ * .pvs-list__item, #licenses_and_certifications ~ * li.artdeco-list__item',
+        certificationsShowAll: '#navigation-index-see-all-licenses-and-certifications, #licenses_and_certifications ~ * a[href*="/details/certifications"]',
+        languagesItems: '#languages ~ * .pvs-list__item, #languages ~ * li.artdeco-list__item',
+        languagesShowAll: '#navigation-index-see-all-languages, #languages ~ * a[href*="/details/languages"]',
+        projectsItems: '#projects ~ * .pvs-list__item, #projects ~ * li.artdeco-list__item',
+        projectsShowAll: '#navigation-index-see-all-projects, #projects ~ * a[href*="/details/projects"]',
+        volunteeringItems: '#volunteering_experience ~ * .pvs-list__item, #volunteering_experience ~ * li.artdeco-list__item',
+        volunteeringShowAll: '#navigation-index-see-all-volunteering-experiences, #volunteering_experience ~ * a[href*="/details/volunteering-experiences"]',
+        honorsItems: '#honors_and_awards ~ * .pvs-list__item, #honors_and_awards ~ * li.artdeco-list__item',
+        honorsShowAll: '#navigation-index-see-all-honors-and-awards, #honors_and_awards ~ * a[href*="/details/honors"]',
+        expandButtons: 'button.inline-show-more-text__button, button.lt-line-clamp__more, button.scaffold-finite-scroll__load-button',
+        topCard: ['.pv-top-card', 'main section.artdeco-card', 'main section'],
+        // Result cards on search, company People, My Network and "People also viewed"
+        // lists; the first profile link in each card is the person it is about
+        profileLinkItems: 'li.reusable-search__result-container, .entity-result, .org-people-profile-card, .discover-entity-type-card, .mn-connection-card, .pv-browsemap-section__member-container, aside .artdeco-list__item',
+        profileListScope: ['main', '[role="main"]'],
+        profileSidebarScope: ['aside.scaffold-layout__aside', '.pv-browsemap-section', 'aside'],
+        nextResultsPage: 'button.artdeco-pagination__button--next, button[aria-label="Next"]',
+        moreResults: 'button.scaffold-finite-scroll__load-button, button.discover-entity-type-card__load-more, button.org-people__show-more-button'
+    };
+
+    const LOCATION_EXCLUDED_WORDS = ['connection', 'follower', 'view', 'profile', 'contact', 'mutual'];
+
+    const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'self-employed', 'freelance', 'contract',
+        'internship', 'apprenticeship', 'seasonal', 'temporary'];
+    const WORKPLACE_TYPES = ['on-site', 'hybrid', 'remote'];
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // Bundled extraction rules; remote rules override them key by key
+    const DEFAULT_RULES = {
+        selectors: SELECTORS,
+        limits: LIMITS,
+        locationExcludedWords: LOCATION_EXCLUDED_WORDS
+    };
+
+    // ====================
+    // HELPERS
+    // ====================
+
+    function textOf(element) {
+        return element && element.textContent ? element.textContent.trim() : '';
+    }
+
+    // LinkedIn repeats most labels in a visually-hidden span for screen readers;
+    // the aria-hidden copy is the one that is shown
+    function visibleText(element) {
+        if (!element) return '';
+        const shown = element.querySelector('span[aria-hidden="true"]');
+        return textOf(shown || element).replace(/\s+/g, ' ');
+    }
+
+    // First non-empty text among the selectors that passes `accept`, with the
+    // selector that found it and its position in the list; null if none did
+    function firstMatch(root, selectors, accept = () => true) {
+        for (let index = 0; index < selectors.length; index++) {
+            for (const element of root.querySelectorAll(selectors[index])) {
+                const text = textOf(element);
+                if (text && accept(text)) {
+                    return { text, selector: selectors[index], index };
+                }
+            }
+        }
+        return null;
+    }
+
+    // ====================
+    // COUNTS
+    // ====================
+
+    // Count labels in LinkedIn's main UI languages, matched as lowercase substrings
+    const COUNT_KEYWORDS = {
+        connections: ['connection', 'relation', 'kontakt', 'contacto', 'conexõ', 'conexion', 'conexiun',
+            'collegament', 'connectie', 'forbindelse', 'bağlantı', 'spojení', 'kapcsolat', 'koneksi',
+            'контакт', 'つながり', '人脉', '人脈', '1촌', 'اتصال'],
+        followers: ['follower', 'abonné', 'seguidor', 'volger', 'följare', 'følger', 'obserwując', 'takipçi',
+            'sledující', 'urmăritor', 'követő', 'pengikut', 'подписчик', 'フォロワー', '关注者', '關注者', '팔로워', 'متابع']
+    };
+
+    // "12 mutual connections" is about the viewer, not the profile
+    const COUNT_MUTUAL_MARKERS = ['mutual', 'en commun', 'gemeinsam', 'en común', 'em comum', 'in comune',
+        'gemeenschappelijk', 'gemensam', 'fælles', 'felles', 'ortak', 'wspóln', 'общи', '共通', '共同'];
+
+    // "500+", "+ de 500", "500件以上": LinkedIn stops counting connections at 500.
+    // Only a marker right before or after the parsed number qualifies it.
+    const COUNT_LOWER_BOUND_BEFORE = /(?:\+(?:\s*de)?|more than|plus de|más de|mais de|über|oltre|ponad|более)\s*$/i;
+    const COUNT_LOWER_BOUND_AFTER = /^\s*(?:\+|件?以上|['’]?[dt][ae]n fazla)/i;
+
+    const COUNT_MULTIPLIERS = { k: 1e3, mil: 1e3, tsd: 1e3, tys: 1e3, '千': 1e3, '万': 1e4, m: 1e6, mio: 1e6, mln: 1e6 };
+
+    // Thousands grouped by , . ' ’ or (narrow) spaces, an optional decimal part and
+    // multiplier suffix. A number or suffix glued to a Latin or Cyrillic word
+    // ("3rd", "500 Kontakte") is not read as one.
+    const COUNT_NUMBER = /(\d{1,3}(?:[.,'’\s]\d{3})+|\d+)(?:[.,](\d{1,2}))?(?:\s?(k|mil|mio|mln|tsd|tys|m|千|万)\.?)?(?![a-z\u00c0-\u024f\u0400-\u04ff\d])/i;
+
+    // Arabic-Indic and full-width digits and Arabic separators read as ASCII
+    function normalizeDigits(text) {
+        return text
+            .replace(/\u066c/g, ',')
+            .replace(/\u066b/g, '.')
+            .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[\u06f0-\u06f9]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+            .replace(/[\uff10-\uff19]/g, digit => String(digit.charCodeAt(0) - 0xff10));
+    }
+
+    // Which count a label is for: 'connections', 'followers', or null when it is
+    // neither, mentions both, or counts mutual connections
+    function countKind(text) {
+        const lower = text.toLowerCase();
+        if (COUNT_MUTUAL_MARKERS.some(marker => lower.includes(marker))) return null;
+
+        const kinds = Object.keys(COUNT_KEYWORDS)
+            .filter(kind => COUNT_KEYWORDS[kind].some(keyword => lower.includes(keyword)));
+        return kinds.length === 1 ? kinds[0] : null;
+    }
+
+    // A displayed count as { count, isLowerBound, kind }, or null without a number.
+    // "500+ connections" -> 500 (lower bound), "1.2K followers" -> 1200,
+    // "12 345 abonnés" -> 12345, "1.234 Follower" -> 1234. A separator followed
+    // by exactly three digits groups thousands; one followed by one or two digits
+    // is a decimal point, which only matters before a multiplier.
+    function parseCountText(text) {
+        const value = normalizeDigits(String(text || ''));
+        const match = value.match(COUNT_NUMBER);
+        if (!match) return null;
+
+        const whole = parseInt(match[1].replace(/\D/g, ''), 10);
+        const fraction = match[2] ? parseInt(match[2], 10) / Math.pow(10, match[2].length) : 0;
+        const multiplier = match[3] ? COUNT_MULTIPLIERS[match[3].toLowerCase()] : 1;
+
+        return {
+            count: Math.round((whole + fraction) * multiplier),
+            isLowerBound: COUNT_LOWER_BOUND_BEFORE.test(value.slice(0, match.index)) ||
+                COUNT_LOWER_BOUND_AFTER.test(value.slice(match.index + match[0].length)),
+            kind: countKind(value)
+        };
+    }
+
+    // 0 when no number is present
+    function parseCount(text) {
+        const parsed = parseCountText(text);
+        return parsed ? parsed.count : 0;
+    }
+
+    // Count from the first element labelled as `kind`, as a firstMatch result with `count` and `isLowerBound`
+    function countMatch(root, selectors, kind) {
+        const accept = value => {
+            const parsed = parseCountText(value);
+            return !!parsed && parsed.kind === kind && parsed.count > 0;
+        };
+        const match = firstMatch(root, selectors, accept);
+        return match ? { ...match, ...parseCountText(match.text) } : null;
+    }
+
+    // ====================
+    // EXPERIENCE
+    // ====================
+
+    // "Jan 2020" -> "2020-01", "2018" -> "2018"; null when unrecognised
+    function parseMonthYear(text) {
+        const match = String(text || '').trim().match(/^(?:([a-z]+)\.?\s+)?(\d{4})$/i);
+        if (!match) return null;
+
+        const month = match[1] ? MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1 : 0;
+        if (match[1] && month === 0) return null;
+
+        return month ? `${match[2]}-${String(month).padStart(2, '0')}` : match[2];
+    }
+
+    // "2 yrs 3 mos" -> 27; null when the text is not a duration
+    function parseDuration(text) {
+        const years = String(text).match(/(\d+)\s*yrs?\b/i);
+        const months = String(text).match(/(\d+)\s*mos?\b/i);
+
+        if (!years && !months) {
+            return /less than a year/i.test(text) ? 0 : null;
+        }
+        return (years ? parseInt(years[1], 10) : 0) * 12 + (months ? parseInt(months[1], 10) : 0);
+    }
+
+    // Inclusive month span between two ISO dates, as LinkedIn counts it
+    function monthsBetween(start, end) {
+        const [startYear, startMonth = 1] = start.split('-').map(Number);
+        const [endYear, endMonth = 12] = end.split('-').map(Number);
+        const months = (endYear - startYear) * 12 + (endMonth - startMonth) + 1;
+        return months >= 0 ? months : null;
+    }
+
+    // "Jan 2020 - Present · 4 yrs 2 mos" -> dates, current flag and duration; null if not a date range
+    function parseDateRange(text) {
+        const [range, durationText = ''] = String(text).split('·').map(part => part.trim());
+        const [startText, endText] = range.split(/\s+[-–—]\s+/);
+        const startDate = parseMonthYear(startText);
+        if (!startDate) return null;
+
+        // A single date is a position that started and ended in the same month or year
+        const isCurrent = endText !== undefined && /^(present|current|now)$/i.test(endText.trim());
+        const endDate = endText === undefined ? startDate : (isCurrent ? null : parseMonthYear(endText));
+        if (!isCurrent && !endDate) return null;
+
+        let durationMonths = durationText ? parseDuration(durationText) : null;
+        if (durationMonths === null && endDate) {
+            durationMonths = monthsBetween(startDate, endDate);
+        }
+
+        return { startDate, endDate, isCurrent, duration: durationText || null, durationMonths };
+    }
+
+    // "Acme · Full-time" -> { name: 'Acme', employmentType: 'Full-time' }
+    function splitEmploymentType(text) {
+        const parts = String(text).split('·').map(part => part.trim()).filter(Boolean);
+        const typeIndex = parts.findIndex(part => EMPLOYMENT_TYPES.includes(part.toLowerCase()));
+        const employmentType = typeIndex >= 0 ? parts.splice(typeIndex, 1)[0] : null;
+        return { name: parts.filter(part => parseDuration(part) === null).join(' · '), employmentType };
+    }
+
+    // "Berlin, Germany · Hybrid" -> { location: 'Berlin, Germany', workplaceType: 'Hybrid' }
+    function splitWorkplaceType(text) {
+        const parts = String(text).split('·').map(part => part.trim()).filter(Boolean);
+        const typeIndex = parts.findIndex(part => WORKPLACE_TYPES.includes(part.toLowerCase()));
+        const workplaceType = typeIndex >= 0 ? parts.splice(typeIndex, 1)[0] : null;
+        return { location: parts.join(' · ') || null, workplaceType };
+    }
+
+    // Elements under `item` that belong to it rather than to one of its nested roles
+    function ownElements(item, selector, nested = []) {
+        return Array.from(item.querySelectorAll(selector))
+            .filter(element => !nested.some(role => role.contains(element)));
+    }
+
+    function readEntity(item, rules, nested = []) {
+        const title = ownElements(item, rules.selectors.experienceTitle.join(', '), nested).map(visibleText).find(Boolean) || '';
+        const subtitle = ownElements(item, rules.selectors.experienceCompany.join(', '), nested).map(visibleText).find(Boolean) || '';
+
+        let dates = null;
+        let place = { location: null, workplaceType: null };
+        ownElements(item, rules.selectors.experienceCaption, nested).map(visibleText).forEach(text => {
+            const range = !dates && parseDateRange(text);
+            if (range) {
+                dates = range;
+            } else if (text && !place.location && !place.workplaceType) {
+                place = splitWorkplaceType(text);
+            }
+        });
+
+        const description = ownElements(item, rules.selectors.experienceDescription.join(', '), nested)
+            .map(visibleText).find(Boolean) || null;
+
+        return { title, subtitle, dates, place, description };
+    }
+
+    function toPosition(entity, company, employmentType, fallbackPlace, rules) {
+        const dates = entity.dates || { startDate: null, endDate: null, isCurrent: false, duration: null, durationMonths: null };
+        const place = entity.place.location || entity.place.workplaceType ? entity.place : fallbackPlace;
+
+        return {
+            title: entity.title,
+            company,
+            employmentType,
+            location: place.location,
+            workplaceType: place.workplaceType,
+            startDate: dates.startDate,
+            endDate: dates.endDate,
+            isCurrent: dates.isCurrent,
+            duration: dates.duration,
+            durationMonths: dates.durationMonths,
+            description: entity.description ? entity.description.slice(0, rules.limits.descriptionLength) : null
+        };
+    }
+
+    // One list item is either a single position or a company with several roles under it
+    function parseExperienceItem(item, rules) {
+        const roles = Array.from(item.querySelectorAll('li')).filter(li =>
+            li !== item &&
+            rules.selectors.experienceTitle.some(selector => li.querySelector(selector)) &&
+            Array.from(li.querySelectorAll(rules.selectors.experienceCaption)).some(el => parseDateRange(visibleText(el)))
+        );
+
+        if (roles.length === 0) {
+            const entity = readEntity(item, rules);
+            const { name: company, employmentType } = splitEmploymentType(entity.subtitle);
+            return entity.title || company ? [toPosition(entity, company, employmentType, entity.place, rules)] : [];
+        }
+
+        // Grouped: the item's own title is the company, its subtitle the overall type and tenure
+        const group = readEntity(item, rules, roles);
+        const groupType = splitEmploymentType(group.subtitle).employmentType;
+
+        // Same rule as a single position: a role needs a title or its group a company name
+        return roles
+            .map(role => readEntity(role, rules))
+            .filter(entity => entity.title || group.title)
+            .map(entity => {
+                const employmentType = splitEmploymentType(entity.subtitle).employmentType || groupType;
+                return toPosition(entity, group.title, employmentType, group.place, rules);
+            });
+    }
+
+    // Top-level list items only; lists nested inside an item belong to that item
+    function topLevelItems(root, selector) {
+        return Array.from(root.querySelectorAll(selector))
+            .filter(item => !item.parentElement || !item.parentElement.closest(selector));
+    }
+
+    // Roles nested inside a company group are parsed with their group
+    function experienceFromItems(root, selector, rules) {
+        const positions = [];
+        topLevelItems(root, selector).forEach(item => positions.push(...parseExperienceItem(item, rules)));
+        return positions.slice(0, rules.limits.experience).map((position, order) => ({ ...position, order }));
+    }
+
+    // ====================
+    // EDUCATION
+    // ====================
+
+    // "2012 - 2014" or "Sep 2012 - Jun 2014" -> { startYear: 2012, endYear: 2014 }
+    function parseYearRange(text) {
+        const years = (String(text).split('·')[0].match(/\b\d{4}\b/g) || []).map(Number);
+        if (years.length === 0) return null;
+        return { startYear: years[0], endYear: years.length > 1 ? years[1] : null };
+    }
+
+    // "Master of Science - MS, Computer Science" -> degree and field of study
+    function splitDegree(text) {
+        const [degree, ...field] = String(text).split(',').map(part => part.trim());
+        return { degree: degree || null, fieldOfStudy: field.join(', ') || null };
+    }
+
+    function parseEducationItem(item, rules) {
+        const school = ownElements(item, rules.selectors.educationSchool.join(', ')).map(visibleText).find(Boolean) || '';
+        if (!school) return null;
+
+        const subtitle = ownElements(item, rules.selectors.educationDegree.join(', ')).map(visibleText).find(Boolean) || '';
+        const years = ownElements(item, rules.selectors.educationDates).map(visibleText).map(parseYearRange).find(Boolean) ||
+            { startYear: null, endYear: null };
+
+        let activities = null;
+        let grade = null;
+        let description = null;
+        ownElements(item, rules.selectors.educationExtras).map(visibleText).forEach(text => {
+            const activitiesMatch = text.match(/^activities and societies:\s*(.+)$/i);
+            const gradeMatch = text.match(/^grade:\s*(.+)$/i);
+
+            if (activitiesMatch) {
+                activities = activities || activitiesMatch[1];
+            } else if (gradeMatch) {
+                grade = grade || gradeMatch[1];
+            } else if (text && !description) {
+                description = text.slice(0, rules.limits.descriptionLength);
+            }
+        });
+
+        return { school, ...splitDegree(subtitle), ...years, grade, activities, description };
+    }
+
+    function educationFromItems(root, selector, rules) {
+        return listFromItems(root, selector, rules, 'education', parseEducationItem);
+    }
+
+    // One entry per top-level item, capped at the section's limit
+    function listFromItems(root, selector, rules, section, parseItem) {
+        return topLevelItems(root, selector)
+            .map(item => parseItem(item, rules))
+            .filter(Boolean)
+            .slice(0, rules.limits[section])
+            .map((entry, order) => ({ ...entry, order }));
+    }
+
+    // ====================
+    // CERTIFICATIONS, LANGUAGES, PROJECTS, VOLUNTEERING, HONORS
+    // ====================
+
+    // "Issued Jan 2020 · Expires Jan 2023" -> ['Issued Jan 2020', 'Expires Jan 2023']
+    function dottedParts(texts) {
+        return texts.flatMap(text => String(text).split('·').map(part => part.trim()).filter(Boolean));
+    }
+
+    // The parts every entity list item shares: bold title, subtitle, light captions, description, links
+    function readListItem(item, rules) {
+        const texts = (selector) => ownElements(item, selector).map(visibleText).filter(Boolean);
+
+        return {
+            title: texts(rules.selectors.entityTitle.join(', '))[0] || '',
+            subtitle: texts(rules.selectors.entitySubtitle.join(', '))[0] || '',
+            captions: texts(rules.selectors.entityCaption),
+            description: (texts(rules.selectors.entityDescription.join(', '))[0] || '').slice(0, rules.limits.descriptionLength) || null,
+            links: ownElements(item, 'a[href]').map(link => ({ text: visibleText(link), href: link.href }))
+        };
+    }
+
+    // "Associated with Acme" -> "Acme"
+    function associatedWith(parts) {
+        const match = parts.map(part => part.match(/^associated with\s+(.+)$/i)).find(Boolean);
+        return match ? match[1] : null;
+    }
+
+    function parseCertificationItem(item, rules) {
+        const entry = readListItem(item, rules);
+        if (!entry.title) return null;
+
+        let issueDate = null;
+        let expirationDate = null;
+        let credentialId = null;
+        dottedParts(entry.captions).forEach(part => {
+            const issued = part.match(/^issued\s+(.+)$/i);
+            const expires = part.match(/^expire[sd]\s+(.+)$/i);
+            const credential = part.match(/^credential id\s*:?\s*(.+)$/i);
+
+            if (issued) issueDate = issueDate || parseMonthYear(issued[1]);
+            if (expires) expirationDate = expirationDate || parseMonthYear(expires[1]);
+            if (credential) credentialId = credentialId || credential[1];
+        });
+
+        const credentialLink = entry.links.find(link => /credential/i.test(link.text));
+
+        return {
+            name: entry.title,
+            issuer: entry.subtitle || null,
+            issueDate,
+            expirationDate,
+            credentialId,
+            credentialUrl: credentialLink ? credentialLink.href : null
+        };
+    }
+
+    function parseLanguageItem(item, rules) {
+        const entry = readListItem(item, rules);
+        if (!entry.title) return null;
+
+        return { name: entry.title, proficiency: entry.captions[0] || entry.subtitle || null };
+    }
+
+    function parseProjectItem(item, rules) {
+        const entry = readListItem(item, rules);
+        if (!entry.title) return null;
+
+        const texts = [entry.subtitle, ...entry.captions];
+        const dates = texts.map(parseDateRange).find(Boolean) || { startDate: null, endDate: null, isCurrent: false };
+        const projectLink = entry.links.find(link => /project/i.test(link.text));
+
+        return {
+            title: entry.title,
+            startDate: dates.startDate,
+            endDate: dates.endDate,
+            isCurrent: dates.isCurrent,
+            associatedWith: associatedWith(dottedParts(texts)),
+            description: entry.description,
+            url: projectLink ? projectLink.href : null
+        };
+    }
+
+    function parseVolunteeringItem(item, rules) {
+        const entry = readListItem(item, rules);
+        if (!entry.title) return null;
+
+        const dates = entry.captions.map(parseDateRange).find(Boolean) ||
+            { startDate: null, endDate: null, isCurrent: false, durationMonths: null };
+        const cause = entry.captions.find(text => !parseDateRange(text)) || null;
+
+        return {
+            role: entry.title,
+            organization: entry.subtitle || null,
+            cause,
+            startDate: dates.startDate,
+            endDate: dates.endDate,
+            isCurrent: dates.isCurrent,
+            durationMonths: dates.durationMonths,
+            description: entry.description
+        };
+    }
+
+    function parseHonorItem(item, rules) {
+        const entry = readListItem(item, rules);
+        if (!entry.title) return null;
+
+        const parts = dottedParts([entry.subtitle, ...entry.captions]);
+        const issuer = parts.map(part => part.match(/^issued by\s+(.+)$/i)).find(Boolean);
+
+        return {
+            title: entry.title,
+            issuer: issuer ? issuer[1] : null,
+            date: parts.map(parseMonthYear).find(Boolean) || null,
+            associatedWith: associatedWith(parts),
+            description: entry.description
+        };
+    }
+
+    // Sections that are plain lists of one entity per item
+    const LIST_SECTIONS = {
+        certifications: parseCertificationItem,
+        languages: parseLanguageItem,
+        projects: parseProjectItem,
+        volunteering: parseVolunteeringItem,
+        honors: parseHonorItem
+    };
+
+    // ====================
+    // FIELD EXTRACTORS
+    // ====================
+
+    // Each extractor reads one part of the page and returns the fields it owns.
+    // It also records in `meta` how each field was found (see PROVENANCE).
+    const FIELD_EXTRACTORS = {
+        name(root, profile, rules, meta) {
+            const match = firstMatch(root, rules.selectors.name);
+            meta.name = selectorProvenance(match);
+            return { name: match ? match.text : '' };
+        },
+
+        headline(root, profile, rules, meta) {
+            const match = firstMatch(root, rules.selectors.headline, text => !text.includes('•'));
+            const headline = match ? match.text : '';
+            meta.headline = selectorProvenance(match);
+            meta.bioLine = meta.bio = match ? { ...meta.headline, source: 'derived', from: 'headline' } : null;
+            return { headline, bioLine: headline, bio: headline };
+        },
+
+        location(root, profile, rules, meta) {
+            const match = firstMatch(root, rules.selectors.location, text =>
+                !text.includes('•') &&
+                !/\d/.test(text) &&
+                text.length > 2 &&
+                text.length < 100 &&
+                !rules.locationExcludedWords.some(word => text.toLowerCase().includes(word))
+            );
+            // The selectors are generic; the text filter is what picks the location
+            meta.location = selectorProvenance(match, PROVENANCE.heuristicPenalty);
+            return { location: match ? match.text : '' };
+        },
+
+        about(root, profile, rules, meta) {
+            // The about text is longer than the headline; shorter matches are the headline again
+            const match = firstMatch(root, rules.selectors.about, text => text.length > profile.headline.length);
+            meta.about = selectorProvenance(match);
+            return { about: match ? match.text : '' };
+        },
+
+        counts(root, profile, rules, meta) {
+            let connection = countMatch(root, rules.selectors.connectionCount, 'connections');
+            let follower = countMatch(root, rules.selectors.followerCount, 'followers');
+            meta.connectionCount = selectorProvenance(connection);
+            meta.followerCount = selectorProvenance(follower);
+
+            // Fallback: scan top card text like "500+ connections" or "1,500 followers"
+            if (!connection && !follower) {
+                for (const element of root.querySelectorAll(rules.selectors.countFallback)) {
+                    const text = textOf(element);
+                    const parsed = parseCountText(text);
+                    if (!parsed || parsed.count === 0) continue;
+
+                    if (!connection && parsed.kind === 'connections' && !text.toLowerCase().includes('view')) {
+                        connection = parsed;
+                        meta.connectionCount = strategyProvenance('fallback-scan', rules.selectors.countFallback);
+                    }
+
+                    if (!follower && parsed.kind === 'followers') {
+                        follower = parsed;
+                        meta.followerCount = strategyProvenance('fallback-scan', rules.selectors.countFallback);
+                    }
+                }
+            }
+
+            // Last resort: the links to the connection and follower lists
+            if (!connection) {
+                connection = countMatch(root, [rules.selectors.connectionLinks], 'connections');
+                if (connection) meta.connectionCount = strategyProvenance('link', rules.selectors.connectionLinks);
+            }
+            if (!follower) {
+                follower = countMatch(root, [rules.selectors.followerLinks], 'followers');
+                if (follower) meta.followerCount = strategyProvenance('link', rules.selectors.followerLinks);
+            }
+
+            const connectionCount = connection && connection.count <= rules.limits.maxConnections ? connection.count : 0;
+            const followerCount = follower && follower.count <= rules.limits.maxFollowers ? follower.count : 0;
+
+            return {
+                connectionCount,
+                connectionCountIsLowerBound: connectionCount > 0 && connection.isLowerBound,
+                followerCount
+            };
+        },
+
+        profilePicture(root, profile, rules, meta) {
+            for (let index = 0; index < rules.selectors.profilePicture.length; index++) {
+                const selector = rules.selectors.profilePicture[index];
+                const img = root.querySelector(selector);
+                if (img && img.src && !img.src.startsWith('data:') && img.src.includes('http')) {
+                    meta.profilePicture = selectorProvenance({ selector, index });
+                    return { profilePicture: img.src };
+                }
+            }
+            return { profilePicture: '' };
+        },
+
+        experience(root, profile, rules, meta) {
+            meta.experience = listProvenance(root, rules, 'experience', rules.selectors.experienceItems);
+            return { experience: experienceFromItems(root, rules.selectors.experienceItems, rules) };
+        },
+
+        education(root, profile, rules, meta) {
+            meta.education = listProvenance(root, rules, 'education', rules.selectors.educationItems);
+            return { education: educationFromItems(root, rules.selectors.educationItems, rules) };
+        },
+
+        certifications(root, profile, rules, meta) {
+            meta.certifications = listProvenance(root, rules, 'certifications', rules.selectors.certificationsItems);
+            return { certifications: listFromItems(root, rules.selectors.certificationsItems, rules, 'certifications', parseCertificationItem) };
+        },
+
+        languages(root, profile, rules, meta) {
+            meta.languages = listProvenance(root, rules, 'languages', rules.selectors.languagesItems);
+            return { languages: listFromItems(root, rules.selectors.languagesItems, rules, 'languages', parseLanguageItem) };
+        },
+
+        projects(root, profile, rules, meta) {
+            meta.projects = listProvenance(root, rules, 'projects', rules.selectors.projectsItems);
+            return { projects: listFromItems(root, rules.selectors.projectsItems, rules, 'projects', parseProjectItem) };
+        },
+
+        volunteering(root, profile, rules, meta) {
+            meta.volunteering = listProvenance(root, rules, 'volunteering', rules.selectors.volunteeringItems);
+            return { volunteering: listFromItems(root, rules.selectors.volunteeringItems, rules, 'volunteering', parseVolunteeringItem) };
+        },
+
+        honors(root, profile, rules, meta) {
+            meta.honors = listProvenance(root, rules, 'honors', rules.selectors.honorsItems);
+            return { honors: listFromItems(root, rules.selectors.honorsItems, rules, 'honors', parseHonorItem) };
+        },
+
+        skills(root, profile, rules, meta) {
+            const skills = Array.from(root.querySelectorAll(rules.selectors.skillItems))
+                .slice(0, rules.limits.skills)
+                .map(textOf)
+                .filter(text => text.length > 1 && text.length < 50);
+
+            meta.skills = listProvenance(root, rules, 'skills', rules.selectors.skillItems);
+            return { skills: [...new Set(skills)] };
+        }
+    };
+
+    // ====================
+    // PROVENANCE
+    // ====================
+
+    // Confidence scores (0-1) by how a value was found. Selector lists run from
+    // the most to the least specific, so each later selector scores a step lower.
+    const PROVENANCE = {
+        firstSelector: 0.95,
+        selectorStep: 0.1,
+        minSelector: 0.6,
+        heuristicPenalty: 0.1,
+        strategies: {
+            'fallback-scan': 0.5, // Any top card text mentioning "connections"/"followers"
+            'link': 0.6, // Text of the connections/followers links
+            'profile-page': 0.85, // Complete section list on the profile page
+            'truncated-list': 0.6, // Profile page list that links to a fuller details page
+            'details-page': 0.95 // Full list from /details/<section>/
+        },
+        lowConfidence: 0.7
+    };
+
+    // Fields described in extractionMeta.fields
+    const PROVENANCE_FIELDS = Object.keys(PROFILE_SCHEMA)
+        .filter(field => !['connectionCountIsLowerBound', 'extractionStatus', 'extractionError', 'extractedAt', 'extractionMeta'].includes(field));
+
+    const roundConfidence = (value) => Math.round(Math.max(0, value) * 100) / 100;
+
+    // `match` is { selector, index } from firstMatch/countMatch, or null when nothing matched
+    function selectorProvenance(match, penalty = 0) {
+        if (!match) return null;
+
+        const confidence = Math.max(PROVENANCE.minSelector, PROVENANCE.firstSelector - match.index * PROVENANCE.selectorStep) - penalty;
+        return { source: 'selector', selector: match.selector, confidence: roundConfidence(confidence) };
+    }
+
+    function strategyProvenance(strategy, selector) {
+        return { source: strategy, selector, confidence: PROVENANCE.strategies[strategy] };
+    }
+
+    // Section lists score lower while the page says it is only showing part of them
+    function listProvenance(root, rules, section, selector) {
+        const details = DETAILS_SECTIONS[section];
+        const truncated = !!(details && root.querySelector(rules.selectors[details.showAll]));
+        return strategyProvenance(truncated ? 'truncated-list' : 'profile-page', selector);
+    }
+
+    const hasValue = (value) => Array.isArray(value) ? value.length > 0 :
+        (typeof value === 'number' ? value > 0 : !!value);
+
+    // extractionMeta: per-field {source, selector, confidence}, with null for fields
+    // that came back empty, plus the average and the fields worth double-checking
+    function buildExtractionMeta(profile, meta, errors) {
+        const fields = {};
+        PROVENANCE_FIELDS.forEach(field => {
+            fields[field] = hasValue(profile[field]) && meta[field] ? meta[field] : null;
+        });
+
+        return summarizeExtractionMeta({ fields, errors, extractedAt: profile.extractedAt });
+    }
+
+    // Recompute averageConfidence and lowConfidenceFields after fields changed
+    function summarizeExtractionMeta(extractionMeta) {
+        const described = Object.keys(extractionMeta.fields).filter(field => extractionMeta.fields[field]);
+        const total = described.reduce((sum, field) => sum + extractionMeta.fields[field].confidence, 0);
+
+        return {
+            ...extractionMeta,
+            averageConfidence: described.length > 0 ? roundConfidence(total / described.length) : 0,
+            lowConfidenceFields: described.filter(field => extractionMeta.fields[field].confidence < PROVENANCE.lowConfidence)
+        };
+    }
+
+    // ====================
+    // SCHEMA
+    // ====================
+
+    function createEmptyProfile() {
+        const profile = {};
+        Object.keys(PROFILE_SCHEMA).forEach(field => {
+            const { default: value } = PROFILE_SCHEMA[field];
+            profile[field] = Array.isArray(value) ? [] : value;
+        });
+        return profile;
+    }
+
+    function matchesType(value, type) {
+        if (type === 'array') return Array.isArray(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return typeof value === type;
+    }
+
+    // List every way `data` deviates from PROFILE_SCHEMA
+    function validateProfile(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object') {
+            return ['Profile data must be an object'];
+        }
+
+        Object.keys(PROFILE_SCHEMA).forEach(field => {
+            const rule = PROFILE_SCHEMA[field];
+            const value = data[field];
+
+            if (value === undefined || value === null) {
+                if (!rule.optional && rule.default !== null) {
+                    errors.push(`${field} is missing`);
+                }
+                return;
+            }
+
+            if (!matchesType(value, rule.type)) {
+                errors.push(`${field} must be of type ${rule.type}`);
+            } else if (rule.enum && !rule.enum.includes(value)) {
+                errors.push(`${field} must be one of: ${rule.enum.join(', ')}`);
+            }
+        });
+
+        Object.keys(data).forEach(field => {
+            if (!PROFILE_SCHEMA[field]) {
+                errors.push(`${field} is not part of the profile schema`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Copy of `data` with only schema fields, falling back to defaults for bad values
+    function conformToSchema(data) {
+        const profile = createEmptyProfile();
+
+        Object.keys(PROFILE_SCHEMA).forEach(field => {
+            const rule = PROFILE_SCHEMA[field];
+            const value = data ? data[field] : undefined;
+
+            if (value !== undefined && value !== null && matchesType(value, rule.type) &&
+                (!rule.enum || rule.enum.includes(value))) {
+                profile[field] = value;
+            }
+        });
+
+        return profile;
+    }
+
+    // ====================
+    // EXTRACTION RULES
+    // ====================
+
+    const isStringList = (value) => Array.isArray(value) && value.length > 0 &&
+        value.every(item => typeof item === 'string' && item.trim() !== '');
+
+    // List every way a rules document deviates from the shape of DEFAULT_RULES.
+    // Rules may be partial; only the keys they contain are checked.
+    function validateRules(rules) {
+        const errors = [];
+
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            return ['Rules must be an object'];
+        }
+
+        Object.keys(rules).forEach(key => {
+            if (!(key in DEFAULT_RULES)) {
+                errors.push(`${key} is not a known rules section`);
+            }
+        });
+
+        if (rules.selectors !== undefined) {
+            if (!rules.selectors || typeof rules.selectors !== 'object' || Array.isArray(rules.selectors)) {
+                errors.push('selectors must be an object');
+            } else {
+                Object.keys(rules.selectors).forEach(key => {
+                    const value = rules.selectors[key];
+                    const expected = DEFAULT_RULES.selectors[key];
+
+                    if (expected === undefined) {
+                        errors.push(`selectors.${key} is not a known selector`);
+                    } else if (Array.isArray(expected) ? !isStringList(value) : (typeof value !== 'string' || value.trim() === '')) {
+                        errors.push(`selectors.${key} must be ${Array.isArray(expected) ? 'a non-empty list of selectors' : 'a selector string'}`);
+                    }
+                });
+            }
+        }
+
+        if (rules.limits !== undefined) {
+            if (!rules.limits || typeof rules.limits !== 'object' || Array.isArray(rules.limits)) {
+                errors.push('limits must be an object');
+            } else {
+                Object.keys(rules.limits).forEach(key => {
+                    if (DEFAULT_RULES.limits[key] === undefined) {
+                        errors.push(`limits.${key} is not a known limit`);
+                    } else if (!Number.isInteger(rules.limits[key]) || rules.limits[key] < 0) {
+                        errors.push(`limits.${key} must be a non-negative integer`);
+                    }
+                });
+            }
+        }
+
+        if (rules.locationExcludedWords !== undefined && !isStringList(rules.locationExcludedWords)) {
+            errors.push('locationExcludedWords must be a non-empty list of words');
+        }
+
+        return errors;
+    }
+
+    // Bundled rules with valid remote overrides applied; invalid rules are ignored entirely
+    function resolveRules(rules) {
+        if (!rules || validateRules(rules).length > 0) {
+            return DEFAULT_RULES;
+        }
+
+        return {
+            selectors: { ...DEFAULT_RULES.selectors, ...(rules.selectors || {}) },
+            limits: { ...DEFAULT_RULES.limits, ...(rules.limits || {}) },
+            locationExcludedWords: rules.locationExcludedWords || DEFAULT_RULES.locationExcludedWords
+        };
+    }
+
+    // ====================
+    // PAGE PREPARATION
+    // ====================
+
+    // Selector that tells whether each section has rendered
+    const PREPARATION_SECTIONS = {
+        about: (selectors) => selectors.about.join(', '),
+        experience: (selectors) => selectors.experienceItems,
+        education: (selectors) => selectors.educationItems,
+        skills: (selectors) => selectors.skillItems,
+        certifications: (selectors) => selectors.certificationsItems,
+        languages: (selectors) => selectors.languagesItems,
+        projects: (selectors) => selectors.projectsItems,
+        volunteering: (selectors) => selectors.volunteeringItems,
+        honors: (selectors) => selectors.honorsItems
+    };
+
+    // Resolves once the document has gone `quietMs` without DOM mutations, or at `deadline`
+    function waitForQuiet(doc, quietMs, deadline) {
+        const view = doc.defaultView;
+
+        return new Promise(resolve => {
+            let quietTimer = null;
+            let deadlineTimer = null;
+            let observer = null;
+
+            const finish = () => {
+                if (observer) observer.disconnect();
+                view.clearTimeout(quietTimer);
+                view.clearTimeout(deadlineTimer);
+                resolve();
+            };
+
+            observer = new view.MutationObserver(() => {
+                view.clearTimeout(quietTimer);
+                quietTimer = view.setTimeout(finish, quietMs);
+            });
+            observer.observe(doc.body || doc.documentElement, { childList: true, subtree: true, characterData: true });
+
+            quietTimer = view.setTimeout(finish, quietMs);
+            deadlineTimer = view.setTimeout(finish, Math.max(0, deadline - Date.now()));
+        });
+    }
+
+    // Scroll the page top to bottom so lazily rendered sections mount, waiting for
+    // the DOM to settle after each step, then click "…see more" and "Show more
+    // results" buttons. Stays within the time budget and reports which sections
+    // rendered. `options.budgetMs` overrides limits.preparationBudgetMs.
+    async function preparePage(root = document, rules = null, options = {}) {
+        const activeRules = resolveRules(rules);
+        const doc = root.ownerDocument || root;
+        const view = doc.defaultView;
+        const startedAt = Date.now();
+        const deadline = startedAt + (options.budgetMs || activeRules.limits.preparationBudgetMs);
+        const quietMs = activeRules.limits.preparationQuietMs;
+        const report = { found: [], missing: [], scrolls: 0, expanded: 0, timedOut: false, elapsedMs: 0 };
+
+        // A page that never goes quiet (animations, live widgets) must not eat the budget in one step
+        const settle = () => waitForQuiet(doc, quietMs, Math.min(deadline, Date.now() + quietMs * 5));
+
+        try {
+            // Scroll until the bottom is reached and the page stops growing
+            let lastHeight = -1;
+            while (Date.now() < deadline) {
+                const height = doc.documentElement.scrollHeight;
+                const atBottom = view.scrollY + view.innerHeight >= height - 2;
+                if (atBottom && height === lastHeight) break;
+
+                lastHeight = height;
+                view.scrollTo(0, view.scrollY + Math.max(view.innerHeight * 0.8, 200));
+                report.scrolls++;
+                await settle();
+            }
+
+            // Expanders can reveal further expanders (e.g. another page of results)
+            const clicked = new Set();
+            while (Date.now() < deadline && report.expanded < activeRules.limits.maxExpanders) {
+                const buttons = Array.from(doc.querySelectorAll(activeRules.selectors.expandButtons))
+                    .filter(button => !clicked.has(button) && !button.disabled && button.getAttribute('aria-expanded') !== 'true')
+                    .slice(0, activeRules.limits.maxExpanders - report.expanded);
+                if (buttons.length === 0) break;
+
+                buttons.forEach(button => {
+                    clicked.add(button);
+                    button.click();
+                    report.expanded++;
+                });
+                await settle();
+            }
+
+            view.scrollTo(0, 0);
+        } catch (error) {
+            console.warn('⚠️ Page preparation stopped early:', error.message);
+        }
+
+        Object.keys(PREPARATION_SECTIONS).forEach(section => {
+            const present = doc.querySelector(PREPARATION_SECTIONS[section](activeRules.selectors));
+            report[present ? 'found' : 'missing'].push(section);
+        });
+        report.timedOut = Date.now() >= deadline;
+        report.elapsedMs = Date.now() - startedAt;
+
+        return report;
+    }
+
+    // ====================
+    // PROFILE LINKS
+    // ====================
+
+    // "https://www.linkedin.com/in/<slug>" for a link to a profile, null for anything else
+    function profileHref(href, baseUrl) {
+        try {
+            const url = new URL(href, baseUrl);
+            const match = url.pathname.match(/^\/in\/([^/]+)/);
+            if (!/(^|\.)linkedin\.com$/.test(url.hostname) || !match) return null;
+            return `${url.origin}/in/${match[1]}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Profile links on a listing page, in page order and without repeats. On a
+    // profile page only the sidebar ("People also viewed") is read, and the
+    // profile itself is left out.
+    function collectProfileLinks(root = document, rules = null) {
+        const activeRules = resolveRules(rules);
+        const doc = root.ownerDocument || root;
+        const baseUrl = doc.location ? doc.location.href : 'https://www.linkedin.com/';
+        const current = profileHref(baseUrl, baseUrl);
+        const scopes = current ? activeRules.selectors.profileSidebarScope : activeRules.selectors.profileListScope;
+
+        const scope = scopes.map(selector => root.querySelector(selector)).find(Boolean);
+        if (!scope) return [];
+
+        const linksIn = (element) => Array.from(element.querySelectorAll('a[href*="/in/"]'))
+            .map(anchor => profileHref(anchor.getAttribute('href'), baseUrl))
+            .filter(href => href && href !== current);
+
+        // Cards also link mutual connections; without cards every profile link counts
+        const items = Array.from(scope.querySelectorAll(activeRules.selectors.profileLinkItems));
+        const links = items.length > 0
+            ? items.map(item => linksIn(item)[0]).filter(Boolean)
+            : linksIn(scope);
+
+        return [...new Set(links)];
+    }
+
+    // Collect profile links across a paginated or infinitely scrolling list: click
+    // "Show more results" or "Next", or scroll to the bottom, and keep going while
+    // new links turn up, up to limits.harvestMaxPages pages or the time budget.
+    // `stoppedBy` is 'end', 'maxPages' or 'budget'.
+    async function harvestProfileLinks(root = document, rules = null, options = {}) {
+        const activeRules = resolveRules(rules);
+        const doc = root.ownerDocument || root;
+        const view = doc.defaultView;
+        const startedAt = Date.now();
+        const deadline = startedAt + (options.budgetMs || activeRules.limits.harvestBudgetMs);
+        const maxPages = options.maxPages || activeRules.limits.harvestMaxPages;
+        const quietMs = activeRules.limits.preparationQuietMs;
+        const report = { links: [], pages: 1, stoppedBy: 'end', elapsedMs: 0 };
+
+        const collect = () => {
+            const before = report.links.length;
+            collectProfileLinks(root, rules).forEach(href => {
+                if (!report.links.includes(href)) report.links.push(href);
+            });
+            return report.links.length - before;
+        };
+
+        const enabled = (button) => button && !button.disabled && button.getAttribute('aria-disabled') !== 'true';
+
+        try {
+            collect();
+
+            while (report.pages < maxPages && Date.now() < deadline) {
+                const button = [activeRules.selectors.moreResults, activeRules.selectors.nextResultsPage]
+                    .map(selector => doc.querySelector(selector))
+                    .find(enabled);
+
+                if (button) {
+                    button.click();
+                } else {
+                    view.scrollTo(0, doc.documentElement.scrollHeight);
+                }
+
+                // The next page may take a while to arrive; stop once it clearly is not coming
+                const pageDeadline = Math.min(deadline, Date.now() + activeRules.limits.harvestPageTimeoutMs);
+                let added = 0;
+                while (added === 0 && Date.now() < pageDeadline) {
+                    await waitForQuiet(doc, quietMs, pageDeadline);
+                    added = collect();
+                }
+                if (added === 0) break;
+
+                report.pages++;
+            }
+
+            if (report.pages >= maxPages) {
+                report.stoppedBy = 'maxPages';
+            } else if (Date.now() >= deadline) {
+                report.stoppedBy = 'budget';
+            }
+        } catch (error) {
+            console.warn('⚠️ Profile link harvest stopped early:', error.message);
+        }
+
+        report.elapsedMs = Date.now() - startedAt;
+        return report;
+    }
+
+    // ====================
+    // DIAGNOSTICS
+    // ====================
+
+    // Interface words left readable in captured markup so labels like "500+
+    // connections" still show their shape; every other word is masked
+    const DIAGNOSTIC_KEEP_WORDS = ['connection', 'connections', 'follower', 'followers', 'contact', 'info',
+        'see', 'more', 'show', 'all', 'message', 'connect', 'follow', 'open', 'to', 'about', 'and', 'mutual', 'other'];
+    const DIAGNOSTIC_ATTRIBUTES = ['class', 'id', 'role', 'type', 'aria-hidden', 'aria-expanded', 'data-view-name', 'data-section', 'href'];
+    const DIAGNOSTIC_DROPPED_TAGS = ['script', 'style', 'noscript', 'iframe', 'svg', 'template'];
+
+    function maskText(text) {
+        return text.replace(/[\p{L}][\p{L}'’-]*/gu, word =>
+            DIAGNOSTIC_KEEP_WORDS.includes(word.toLowerCase()) ? word : word.replace(/\p{Lu}/gu, 'X').replace(/\p{L}/gu, 'x'));
+    }
+
+    // Profile slugs and off-site links identify the member; LinkedIn paths are kept for their shape
+    function redactHref(href) {
+        try {
+            const url = new URL(href, 'https://www.linkedin.com');
+            if (!/(^|\.)linkedin\.com$/.test(url.hostname)) return 'https://redacted.invalid/';
+            return url.origin + url.pathname.replace(/\/in\/[^/]+/, '/in/redacted');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function sanitizeElement(element) {
+        Array.from(element.attributes).forEach(attribute => {
+            if (!DIAGNOSTIC_ATTRIBUTES.includes(attribute.name)) {
+                element.removeAttribute(attribute.name);
+            } else if (attribute.name === 'href') {
+                element.setAttribute('href', redactHref(attribute.value));
+            }
+        });
+
+        Array.from(element.childNodes).forEach(child => {
+            if (child.nodeType === 3) {
+                child.nodeValue = maskText(child.nodeValue);
+            } else if (child.nodeType === 1 && !DIAGNOSTIC_DROPPED_TAGS.includes(child.tagName.toLowerCase())) {
+                sanitizeElement(child);
+            } else {
+                child.remove();
+            }
+        });
+
+        return element;
+    }
+
+    function countMatches(doc, selector) {
+        try {
+            return doc.querySelectorAll(selector).length;
+        } catch (error) {
+            return -1; // Not a valid selector
+        }
+    }
+
+    // Evidence for a failed extraction: how many elements every selector in the
+    // rules matches, and the top card markup with its text masked and its links,
+    // images and non-structural attributes stripped, so it can be stored safely
+    function captureDiagnostics(root = document, rules = null) {
+        const activeRules = resolveRules(rules);
+        const doc = root.ownerDocument || root;
+        const selectors = activeRules.selectors;
+
+        const selectorReport = {};
+        Object.keys(selectors).forEach(key => {
+            selectorReport[key] = Array.isArray(selectors[key])
+                ? selectors[key].map(selector => ({ selector, matches: countMatches(doc, selector) }))
+                : { selector: selectors[key], matches: countMatches(doc, selectors[key]) };
+        });
+
+        const sections = { found: [], missing: [] };
+        Object.keys(PREPARATION_SECTIONS).forEach(section => {
+            const present = countMatches(doc, PREPARATION_SECTIONS[section](selectors)) > 0;
+            sections[present ? 'found' : 'missing'].push(section);
+        });
+
+        let topCardSelector = null;
+        let topCardHtml = null;
+        let htmlTruncated = false;
+        for (const selector of selectors.topCard) {
+            const topCard = countMatches(doc, selector) > 0 ? doc.querySelector(selector) : null;
+            if (!topCard) continue;
+
+            topCardSelector = selector;
+            topCardHtml = sanitizeElement(topCard.cloneNode(true)).outerHTML;
+            if (topCardHtml.length > activeRules.limits.diagnosticsHtmlLength) {
+                topCardHtml = topCardHtml.slice(0, activeRules.limits.diagnosticsHtmlLength);
+                htmlTruncated = true;
+            }
+            break;
+        }
+
+        const location = doc.defaultView ? doc.defaultView.location : null;
+
+        return {
+            pageUrl: location ? redactHref(location.href) : null,
+            selectorReport,
+            sections,
+            topCardSelector,
+            topCardHtml,
+            htmlTruncated
+        };
+    }
+
+    // ====================
+    // EXTRACTION
+    // ====================
+
+    // `rules` is an optional rules document (see validateRules); bundled rules otherwise
+    function extractProfile(root = document, rules = null) {
+        const profile = createEmptyProfile();
+        const activeRules = resolveRules(rules);
+        const meta = {};
+        const errors = [];
+        profile.extractedAt = new Date().toISOString();
+
+        try {
+            Object.keys(FIELD_EXTRACTORS).forEach(key => {
+                try {
+                    Object.assign(profile, FIELD_EXTRACTORS[key](root, profile, activeRules, meta));
+                } catch (error) {
+                    // One broken section should not cost us the rest of the profile
+                    console.warn(`⚠️ ${key} extraction failed:`, error.message);
+                    errors.push({ extractor: key, message: error.message });
+                }
+            });
+
+            profile.extractionMeta = buildExtractionMeta(profile, meta, errors);
+
+            if (!profile.name) {
+                profile.extractionStatus = 'failed';
+            } else if (!profile.bioLine && !profile.location) {
+                profile.extractionStatus = 'partial';
+            }
+
+            console.log('✅ Profile extraction complete:', {
+                name: profile.name,
+                hasLocation: !!profile.location,
+                hasBio: !!profile.bioLine,
+                hasAbout: !!profile.about,
+                followerCount: profile.followerCount,
+                connectionCount: profile.connectionCount,
+                experienceCount: profile.experience.length,
+                educationCount: profile.education.length,
+                certificationsCount: profile.certifications.length,
+                languagesCount: profile.languages.length,
+                skillsCount: profile.skills.length,
+                averageConfidence: profile.extractionMeta.averageConfidence,
+                status: profile.extractionStatus
+            });
+
+        } catch (error) {
+            console.error('❌ Profile extraction failed:', error);
+            profile.extractionStatus = 'failed';
+            profile.extractionError = error.message;
+        }
+
+        return profile;
+    }
+
+    // Sections the profile page may truncate, with the parser for their /details/<section>/ page
+    const DETAILS_SECTIONS = {
+        experience: { showAll: 'experienceShowAll', parse: experienceFromItems },
+        education: { showAll: 'educationShowAll', parse: educationFromItems }
+    };
+
+    Object.keys(LIST_SECTIONS).forEach(section => {
+        DETAILS_SECTIONS[section] = {
+            showAll: `${section}ShowAll`,
+            parse: (root, selector, rules) => listFromItems(root, selector, rules, section, LIST_SECTIONS[section])
+        };
+    });
+
+    // Full entry list for `section` from its /details/<section>/ page
+    function extractDetailsSection(root = document, section, rules = null) {
+        const activeRules = resolveRules(rules);
+
+        try {
+            return DETAILS_SECTIONS[section].parse(root, activeRules.selectors.detailsPageItems, activeRules);
+        } catch (error) {
+            console.warn(`⚠️ ${section} details extraction failed:`, error.message);
+            return [];
+        }
+    }
+
+    // Detail pages to follow for sections the top card only shows part of
+    function findDetailsPages(root = document, rules = null) {
+        const activeRules = resolveRules(rules);
+        const pages = {};
+
+        Object.keys(DETAILS_SECTIONS).forEach(section => {
+            const showAll = root.querySelector(activeRules.selectors[DETAILS_SECTIONS[section].showAll]);
+            pages[section] = showAll && showAll.href ? showAll.href : null;
+        });
+
+        return pages;
+    }
+
+    return {
+        PROFILE_SCHEMA,
+        DEFAULT_RULES,
+        FIELD_EXTRACTORS,
+        createEmptyProfile,
+        validateProfile,
+        conformToSchema,
+        validateRules,
+        resolveRules,
+        extractProfile,
+        extractDetailsSection,
+        findDetailsPages,
+        preparePage,
+        captureDiagnostics,
+        collectProfileLinks,
+        harvestProfileLinks,
+        parseCountText,
+        strategyProvenance,
+        summarizeExtractionMeta,
+        parseDateRange
+    };
+});
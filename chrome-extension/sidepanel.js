@@ -0,0 +1,282 @@
+// sidepanel.js - Browser for the profiles stored in the backend
+document.addEventListener('DOMContentLoaded', function() {
+    // DOM Elements
+    const listView = document.getElementById('listView');
+    const detailView = document.getElementById('detailView');
+    const totalCount = document.getElementById('totalCount');
+    const searchInput = document.getElementById('searchInput');
+    const statusFilter = document.getElementById('statusFilter');
+    const locationFilter = document.getElementById('locationFilter');
+    const minFollowersFilter = document.getElementById('minFollowersFilter');
+    const maxFollowersFilter = document.getElementById('maxFollowersFilter');
+    const sortSelect = document.getElementById('sortSelect');
+    const profileList = document.getElementById('profileList');
+    const prevPageBtn = document.getElementById('prevPageBtn');
+    const nextPageBtn = document.getElementById('nextPageBtn');
+    const pageInfo = document.getElementById('pageInfo');
+    const backBtn = document.getElementById('backBtn');
+    const openLinkedInBtn = document.getElementById('openLinkedInBtn');
+    const profileDetail = document.getElementById('profileDetail');
+    const statusMessage = document.getElementById('statusMessage');
+
+    // Configuration
+    const PAGE_SIZE = 20;
+    const SEARCH_DEBOUNCE_MS = 300;
+
+    // State
+    let currentPage = 1;
+    let profiles = []; // Rows of the page on screen
+    let selectedProfile = null; // Profile shown in the detail view
+    let requestId = 0; // Only the latest query may render, earlier responses are dropped
+    let debounceTimer = null;
+
+    // Initialize
+    loadProfiles();
+
+    // ====================
+    // FILTERS & PAGING
+    // ====================
+
+    // Typing filters waits for a pause, picking from a list applies at once
+    [searchInput, locationFilter, minFollowersFilter, maxFollowersFilter].forEach(input => {
+        input.addEventListener('input', scheduleReload);
+    });
+    [statusFilter, sortSelect].forEach(select => {
+        select.addEventListener('change', reloadFromFirstPage);
+    });
+
+    prevPageBtn.addEventListener('click', () => {
+        currentPage--;
+        loadProfiles();
+    });
+    nextPageBtn.addEventListener('click', () => {
+        currentPage++;
+        loadProfiles();
+    });
+
+    function scheduleReload() {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(reloadFromFirstPage, SEARCH_DEBOUNCE_MS);
+    }
+
+    function reloadFromFirstPage() {
+        clearTimeout(debounceTimer);
+        currentPage = 1;
+        loadProfiles();
+    }
+
+    function getQuery() {
+        const [sortBy, sortOrder] = sortSelect.value.split(':');
+        return {
+            page: currentPage,
+            limit: PAGE_SIZE,
+            sortBy,
+            sortOrder,
+            search: searchInput.value.trim(),
+            status: statusFilter.value,
+            location: locationFilter.value.trim(),
+            minFollowers: minFollowersFilter.value,
+            maxFollowers: maxFollowersFilter.value
+        };
+    }
+
+    async function loadProfiles() {
+        const thisRequest = ++requestId;
+        prevPageBtn.disabled = true;
+        nextPageBtn.disabled = true;
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'listStoredProfiles',
+            data: getQuery()
+        });
+
+        if (thisRequest !== requestId) return;
+
+        if (!response || !response.success) {
+            profiles = [];
+            totalCount.textContent = '0';
+            pageInfo.textContent = '';
+            profileList.innerHTML = '<div class="empty-state">Stored profiles could not be loaded</div>';
+            showError('❌ ' + (response ? response.error : 'No response from the extension'));
+            return;
+        }
+
+        hideError();
+        profiles = response.data.profiles;
+        renderList(response.data.pagination);
+    }
+
+    // ====================
+    // PROFILE LIST
+    // ====================
+
+    profileList.addEventListener('click', function(e) {
+        const card = e.target.closest('.profile-card');
+        if (card) {
+            showDetail(profiles[parseInt(card.getAttribute('data-index'))]);
+        }
+    });
+
+    function renderList(pagination) {
+        totalCount.textContent = pagination.totalCount;
+        pageInfo.textContent = pagination.totalPages > 0
+            ? `Page ${pagination.currentPage} of ${pagination.totalPages}`
+            : '';
+        prevPageBtn.disabled = !pagination.hasPrevPage;
+        nextPageBtn.disabled = !pagination.hasNextPage;
+
+        if (profiles.length === 0) {
+            profileList.innerHTML = '<div class="empty-state">No stored profiles match these filters</div>';
+            return;
+        }
+
+        profileList.innerHTML = profiles.map((profile, index) => `
+            <div class="profile-card" data-index="${index}">
+                <div class="profile-name">${escapeHtml(profile.name || '(no name)')}</div>
+                ${profile.headline ? `<div class="profile-headline">${escapeHtml(profile.headline)}</div>` : ''}
+                <div class="profile-meta">
+                    ${renderStatusBadge(profile.extractionStatus)}
+                    ${profile.location ? `<span>📍 ${escapeHtml(profile.location)}</span>` : ''}
+                    ${profile.followerCount !== null && profile.followerCount !== undefined
+                        ? `<span>👥 ${formatNumber(profile.followerCount)} followers</span>` : ''}
+                    ${(profile.tags || []).map(tag => `<span class="badge">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // ====================
+    // PROFILE DETAIL
+    // ====================
+
+    backBtn.addEventListener('click', showList);
+    openLinkedInBtn.addEventListener('click', openOnLinkedIn);
+
+    function showDetail(profile) {
+        if (!profile) return;
+        selectedProfile = profile;
+
+        const connections = profile.connectionCount !== null && profile.connectionCount !== undefined
+            ? `${formatNumber(profile.connectionCount)}${profile.connectionCountIsLowerBound ? '+' : ''} connections`
+            : null;
+        const followers = profile.followerCount !== null && profile.followerCount !== undefined
+            ? `${formatNumber(profile.followerCount)} followers`
+            : null;
+
+        profileDetail.innerHTML = `
+            <div class="detail-name">${escapeHtml(profile.name || '(no name)')}</div>
+            ${profile.headline ? `<div class="profile-headline">${escapeHtml(profile.headline)}</div>` : ''}
+            <div class="profile-meta">
+                ${renderStatusBadge(profile.extractionStatus)}
+                ${profile.location ? `<span>📍 ${escapeHtml(profile.location)}</span>` : ''}
+                ${[followers, connections].filter(Boolean).map(text => `<span>${text}</span>`).join('')}
+                ${profile.lastUpdated ? `<span>🕒 Scraped ${escapeHtml(new Date(profile.lastUpdated).toLocaleDateString())}</span>` : ''}
+            </div>
+            ${renderSection('Tags', renderChips(profile.tags))}
+            ${renderSection('Notes', profile.notes ? `<div class="notes">${escapeHtml(profile.notes)}</div>` : '')}
+            ${renderSection('Experience', (profile.experience || []).map(renderExperience).join(''))}
+            ${renderSection('Education', (profile.education || []).map(renderEducation).join(''))}
+            ${renderSection('Skills', renderChips(profile.skills))}
+        `;
+
+        listView.hidden = true;
+        detailView.hidden = false;
+        window.scrollTo(0, 0);
+    }
+
+    function showList() {
+        selectedProfile = null;
+        detailView.hidden = true;
+        listView.hidden = false;
+        profileDetail.innerHTML = '';
+    }
+
+    function renderSection(title, content) {
+        if (!content) return '';
+        return `
+            <div class="detail-section">
+                <div class="detail-section-title">${title}</div>
+                ${content}
+            </div>
+        `;
+    }
+
+    function renderExperience(entry) {
+        const dates = [entry.startDate, entry.isCurrent ? 'Present' : entry.endDate].filter(Boolean).join(' - ');
+        const details = [entry.company, entry.employmentType].filter(Boolean).join(' · ');
+        const when = [dates, entry.duration].filter(Boolean).join(' · ');
+        const where = [entry.location, entry.workplaceType].filter(Boolean).join(' · ');
+
+        return `
+            <div class="entry">
+                <div class="entry-title">${escapeHtml(entry.title || '(untitled)')}</div>
+                ${[details, when, where].filter(Boolean).map(line => `<div class="entry-detail">${escapeHtml(line)}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    function renderEducation(entry) {
+        const degree = [entry.degree, entry.fieldOfStudy].filter(Boolean).join(', ');
+        const years = [entry.startYear, entry.endYear].filter(Boolean).join(' - ');
+
+        return `
+            <div class="entry">
+                <div class="entry-title">${escapeHtml(entry.school || '(unknown school)')}</div>
+                ${[degree, years].filter(Boolean).map(line => `<div class="entry-detail">${escapeHtml(line)}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    function renderChips(values) {
+        if (!Array.isArray(values) || values.length === 0) return '';
+        return `<div class="chips">${values.map(value => `<span class="badge">${escapeHtml(value)}</span>`).join('')}</div>`;
+    }
+
+    function renderStatusBadge(status) {
+        if (!status) return '';
+        return `<span class="badge ${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+    }
+
+    // Reuse the active tab while browsing LinkedIn, otherwise open a new one
+    async function openOnLinkedIn() {
+        if (!selectedProfile || !selectedProfile.url) return;
+
+        try {
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+            if (activeTab && /^https:\/\/([a-z0-9-]+\.)*linkedin\.com\//i.test(activeTab.url || '')) {
+                await chrome.tabs.update(activeTab.id, { url: selectedProfile.url });
+            } else {
+                await chrome.tabs.create({ url: selectedProfile.url });
+            }
+        } catch (error) {
+            showError('❌ Could not open the profile: ' + error.message);
+        }
+    }
+
+    // ====================
+    // UTILITY FUNCTIONS
+    // ====================
+
+    function formatNumber(value) {
+        return Number(value).toLocaleString();
+    }
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function showError(message) {
+        statusMessage.textContent = message;
+        statusMessage.hidden = false;
+    }
+
+    function hideError() {
+        statusMessage.hidden = true;
+        statusMessage.textContent = '';
+    }
+});